@@ -19,6 +19,12 @@ let currentSortBy = 'newest';
 let currentFilter = 'all';
 let currentSearchTerm = '';
 
+// How the line graph shows days with no entry: 'break', 'interpolate' or 'carry'
+let currentGapMode = 'break';
+
+// Date of the entry open for editing (null = today's entry)
+let editingDate = null;
+
 // ============================================
 // GET ELEMENTS FROM HTML
 // ============================================
@@ -29,6 +35,7 @@ const tabContents = document.querySelectorAll('.tab-content');
 
 // Graph elements
 const periodButtons = document.querySelectorAll('.period-button');
+const gapModeSelect = document.getElementById('gapMode') || mountGapModeSelect();
 
 // Line graph elements
 const lineGraphSvg = document.querySelector('.line-graph');
@@ -92,6 +99,11 @@ const totalEntriesDisplay = document.getElementById('totalEntries');
  * Switch between tabs
  */
 function switchTab(tabName) {
+    // Leaving the form drops an unsaved edit of a past day
+    if (tabName !== 'track' && editingDate) {
+        resetEntryForm();
+    }
+
     // Update tab buttons
     tabButtons.forEach(btn => {
         const isActive = btn.dataset.tab === tabName;
@@ -140,8 +152,17 @@ function getTodayDate() {
  * Example: "2025-10-26"
  */
 function getTodayDateString() {
-    const today = new Date();
-    return today.toISOString().split('T')[0];
+    return toLocalDateString(new Date());
+}
+
+/**
+ * Format a Date as its local calendar day, "YYYY-MM-DD"
+ * (toISOString() would give the UTC day, which is wrong in the evening or early morning)
+ */
+function toLocalDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
@@ -317,7 +338,7 @@ function saveEntry() {
     setTimeout(() => {
         // Get all the values
         const entry = {
-        date: getTodayDateString(),
+        date: editingDate || getTodayDateString(),
         overallMood: parseInt(overallMoodSlider.value),
         attributes: {
             energy: parseInt(energySlider.value),
@@ -348,6 +369,9 @@ function saveEntry() {
         saveButton.classList.add('success');
         saveButton.textContent = '✓ Saved!';
 
+        // Editing a past day is finished once it's saved
+        editingDate = null;
+
         setTimeout(() => {
             saveButton.classList.remove('success');
             const today = getTodayDateString();
@@ -403,7 +427,7 @@ function prepareGraphData(period) {
         for (let i = 6; i >= 0; i--) {
             const date = new Date(today);
             date.setDate(date.getDate() - i);
-            const dateString = date.toISOString().split('T')[0];
+            const dateString = toLocalDateString(date);
             
             const entry = moodEntries.find(e => e.date === dateString);
             
@@ -499,15 +523,26 @@ function drawLineGraph(graphData, period) {
     }
     
     // Filter valid data points
+    // In "carry" mode a day with no entry repeats the last value (marked as carried)
     const validData = [];
+    let lastValue = null;
     graphData.data.forEach((value, index) => {
         if (value !== null && value >= 1 && value <= 10) {
+            lastValue = value;
             validData.push({ 
                 value, 
                 index, 
                 label: graphData.labels[index],
                 date: graphData.labels[index]
             });
+        } else if (currentGapMode === 'carry' && lastValue !== null) {
+            validData.push({
+                value: lastValue,
+                index,
+                label: graphData.labels[index],
+                date: graphData.labels[index],
+                carried: true
+            });
         }
     });
     
@@ -570,31 +605,43 @@ function drawLineGraph(graphData, period) {
             y: Math.round(y), 
             value: item.value, 
             label: item.label,
-            date: item.date
+            date: item.date,
+            index: item.index,
+            carried: Boolean(item.carried)
         };
     });
     
     console.log('📍 Generated points:', points);
     
-    // Create SIMPLE LINEAR path (no complex curves)
-    let pathD = `M ${points[0].x} ${points[0].y}`;
-    for (let i = 1; i < points.length; i++) {
-        pathD += ` L ${points[i].x} ${points[i].y}`;
-    }
+    // Split the points into runs of neighbouring days, so a missing day breaks the line
+    const segments = [];
+    points.forEach((point, i) => {
+        if (i === 0 || point.index !== points[i - 1].index + 1) {
+            segments.push([]);
+        }
+        segments[segments.length - 1].push(point);
+    });
+    
+    // Create SIMPLE LINEAR path (no complex curves), one piece per run
+    const toPath = run => run
+        .map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`)
+        .join(' ');
+    const pathD = segments.map(toPath).join(' ');
     
     console.log('📈 Path D:', pathD);
     
-    // Create area fill path
-    const areaPathD = pathD + 
-        ` L ${points[points.length - 1].x} ${height - padding.bottom}` + 
-        ` L ${points[0].x} ${height - padding.bottom} Z`;
+    // Create area fill path (under each run only)
+    const areaPathD = segments.map(run => toPath(run) + 
+        ` L ${run[run.length - 1].x} ${height - padding.bottom}` + 
+        ` L ${run[0].x} ${height - padding.bottom} Z`).join(' ');
     
     // Update line path
     if (moodLine) {
         moodLine.setAttribute('d', pathD);
         
-        // Determine line color based on average mood
-        const avgMood = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+        // Determine line color based on average mood (real entries only)
+        const realPoints = points.filter(p => !p.carried);
+        const avgMood = realPoints.reduce((sum, p) => sum + p.value, 0) / realPoints.length;
         let lineColor = '#21808D';
         if (avgMood <= 4) lineColor = '#FF6B6B';
         else if (avgMood <= 7) lineColor = '#FFD93D';
@@ -616,8 +663,46 @@ function drawLineGraph(graphData, period) {
         areaFill.style.display = 'block';
     }
     
-    // Add data point circles
-    points.forEach((point, idx) => {
+    // "interpolate" mode: dotted line across each gap
+    if (currentGapMode === 'interpolate' && segments.length > 1) {
+        const bridgeD = segments.slice(1)
+            .map((run, i) => {
+                const before = segments[i][segments[i].length - 1];
+                return `M ${before.x} ${before.y} L ${run[0].x} ${run[0].y}`;
+            })
+            .join(' ');
+        
+        const bridge = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        bridge.setAttribute('d', bridgeD);
+        bridge.setAttribute('stroke', 'var(--color-text-secondary)');
+        bridge.setAttribute('stroke-width', '2');
+        bridge.setAttribute('stroke-dasharray', '2,6');
+        bridge.setAttribute('stroke-linecap', 'round');
+        bridge.setAttribute('fill', 'none');
+        dataPoints.appendChild(bridge);
+    }
+    
+    // Mark every day with no entry with a hollow circle on the x-axis
+    graphData.data.forEach((value, index) => {
+        if (value !== null) return;
+        
+        const x = padding.left + (index / Math.max(totalPoints - 1, 1)) * graphWidth;
+        const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        marker.setAttribute('cx', Math.round(x));
+        marker.setAttribute('cy', height - padding.bottom);
+        marker.setAttribute('r', '4');
+        marker.setAttribute('fill', 'none');
+        marker.setAttribute('stroke', 'var(--color-text-secondary)');
+        marker.setAttribute('stroke-width', '1.5');
+        
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = `${graphData.labels[index]}: no entry`;
+        marker.appendChild(title);
+        dataPoints.appendChild(marker);
+    });
+    
+    // Add data point circles (carried values have no circle of their own)
+    points.filter(point => !point.carried).forEach((point, idx) => {
         const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
         circle.setAttribute('cx', point.x);
         circle.setAttribute('cy', point.y);
@@ -728,6 +813,28 @@ function hideLineTooltip() {
 
 
 
+/**
+ * Add the gap mode selector under the period buttons when the page has none
+ * Returns the new select, or null if there is no period selector to sit under
+ */
+function mountGapModeSelect() {
+    const periodSelector = document.querySelector('.period-selector');
+    if (!periodSelector) return null;
+    
+    periodSelector.insertAdjacentHTML('afterend', `
+        <div class="graph-controls">
+            <label class="graph-control">Gaps
+                <select id="gapMode" class="form-input" aria-label="Days without an entry">
+                    <option value="break">Break the line</option>
+                    <option value="interpolate">Dotted line across gaps</option>
+                    <option value="carry">Carry last value forward</option>
+                </select>
+            </label>
+        </div>
+    `);
+    return document.getElementById('gapMode');
+}
+
 /**
  * Update period selection
  */
@@ -998,9 +1105,90 @@ function createHistoryCard(entry) {
         card.appendChild(notesDiv);
     }
 
+    // Edit and delete buttons
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'history-actions';
+    actionsDiv.innerHTML = `
+        <button class="history-action-btn" data-action="edit">✏️ Edit</button>
+        <button class="history-action-btn delete" data-action="delete">🗑️ Delete</button>
+    `;
+    actionsDiv.querySelector('[data-action="edit"]').addEventListener('click', () => editEntry(entry.date));
+    actionsDiv.querySelector('[data-action="delete"]').addEventListener('click', () => deleteEntry(entry.date));
+    card.appendChild(actionsDiv);
+
     return card;
 }
 
+// ============================================
+// EDIT & DELETE ENTRIES
+// ============================================
+
+/**
+ * Open an entry in the tracking form so it can be changed
+ */
+function editEntry(date) {
+    const entry = moodEntries.find(e => e.date === date);
+    if (!entry) return;
+
+    editingDate = entry.date;
+
+    // Fill the form with the entry's values
+    overallMoodSlider.value = entry.overallMood;
+    energySlider.value = entry.attributes.energy;
+    sleepSlider.value = entry.attributes.sleep;
+    stressSlider.value = entry.attributes.stress;
+    productivitySlider.value = entry.attributes.productivity;
+    socialSlider.value = entry.attributes.social;
+    dailyNotesTextarea.value = entry.notes;
+
+    updateMoodDisplay();
+    updateAttributeDisplays();
+    updateCharCount();
+
+    saveButton.textContent = `Save Changes (${formatDate(entry.date)})`;
+    switchTab('track');
+}
+
+/**
+ * Stop editing a past day: put the form back to today's entry (or its defaults)
+ * and give the save button its normal label
+ */
+function resetEntryForm() {
+    editingDate = null;
+
+    [overallMoodSlider, energySlider, sleepSlider, stressSlider, productivitySlider, socialSlider].forEach(slider => {
+        slider.value = slider.defaultValue;
+    });
+    dailyNotesTextarea.value = '';
+    updateMoodDisplay();
+    updateAttributeDisplays();
+    updateCharCount();
+
+    saveButton.textContent = 'Save Today\'s Entry';
+    loadTodayEntry();
+}
+
+/**
+ * Delete an entry after asking for confirmation
+ */
+function deleteEntry(date) {
+    if (!confirm(`Delete your entry for ${formatDate(date)}? This cannot be undone.`)) {
+        return;
+    }
+
+    moodEntries = moodEntries.filter(e => e.date !== date);
+
+    if (editingDate === date) {
+        resetEntryForm();
+    }
+
+    // Refresh history, statistics and graph
+    displayHistory();
+    updateStatistics();
+    const graphData = prepareGraphData(currentPeriod);
+    drawLineGraph(graphData, currentPeriod);
+}
+
 // ============================================
 // DISPLAY STATISTICS
 // ============================================
@@ -1158,6 +1346,15 @@ function initializeApp() {
         btn.addEventListener('click', () => updatePeriod(btn.dataset.period));
     });
     
+    // Set up gap mode selector (how days without an entry are drawn)
+    if (gapModeSelect) {
+        gapModeSelect.value = currentGapMode;
+        gapModeSelect.addEventListener('change', (e) => {
+            currentGapMode = e.target.value;
+            drawLineGraph(prepareGraphData(currentPeriod), currentPeriod);
+        });
+    }
+    
     // Set up history controls
     sortBySelect.addEventListener('change', (e) => {
         currentSortBy = e.target.value;
@@ -1275,7 +1472,7 @@ function addSampleData() {
     sampleEntries.forEach(sample => {
         const entryDate = new Date(today);
         entryDate.setDate(entryDate.getDate() - sample.daysAgo);
-        const dateString = entryDate.toISOString().split('T')[0];
+        const dateString = toLocalDateString(entryDate);
 
         moodEntries.push({
             date: dateString,
@@ -67,8 +67,7 @@ let currentTheme = 'system'; // default
 
 // Initialize theme on page load (before DOM loads)
 function initTheme() {
-    // Check if theme was previously saved (in variable, since we can't use localStorage)
-    // For now, default to system
+    // Saved theme is restored later by loadPersistedData() (storage is async)
     currentTheme = 'system';
     applyTheme(currentTheme);
 }
@@ -106,6 +105,7 @@ function setupThemeListeners() {
             const theme = btn.dataset.theme;
             applyTheme(theme);
             updateThemeButtons();
+            persistMeta('theme', theme);
         });
     });
     
@@ -137,13 +137,13 @@ let allUserData = {}; // Stores mood entries for each user: { userId: [entries]
 let moodEntries = []; // Current user's entries ONLY (loaded from allUserData)
 let selectedMood = null;
 let currentPeriod = 'daily';
+let currentGraphMetric = 'mood'; // 'mood', 'wellbeing' or a custom tracker id
 let currentFilter = 'all';
+let editingEntryId = null; // Set while an existing entry is open in the Track form
 
 // ============================================
 // DOM ELEMENTS
 // ============================================
-const tabButtons = document.querySelectorAll('.tab-button');
-const tabContents = document.querySelectorAll('.tab-content');
 const emojiButtons = document.querySelectorAll('.emoji-button');
 const submitButton = document.getElementById('submitMoodBtn');
 const successMessage = document.getElementById('successMessage');
@@ -151,6 +151,8 @@ const submitBtn = document.getElementById('submitMoodBtn');
 const currentDateEl = document.getElementById('currentDate');
 const notesInput = document.getElementById('notesInput');
 const charCount = document.getElementById('charCount');
+let entryDateInput = document.getElementById('entryDateInput'); // Mounted by setupBackfillListeners()
+let entryTimeInput = document.getElementById('entryTimeInput'); // if the page has none
 
 // Sliders
 const energySlider = document.getElementById('energySlider');
@@ -167,7 +169,6 @@ const productivityValue = document.getElementById('productivityValue');
 const socialValue = document.getElementById('socialValue');
 
 // Stats elements
-const periodButtons = document.querySelectorAll('.period-button');
 const moodGraph = document.getElementById('moodGraph');
 const graphEmpty = document.getElementById('graphEmpty');
 const weeklyAvg = document.getElementById('weeklyAvg');
@@ -179,7 +180,6 @@ const totalValue = document.getElementById('totalValue');
 const attributeBars = document.getElementById('attributeBars');
 
 // History elements
-const filterChips = document.querySelectorAll('.filter-chip');
 const historyList = document.getElementById('historyList');
 const historyEmpty = document.getElementById('historyEmpty');
 
@@ -192,9 +192,26 @@ function getTodayDate() {
   return today.toLocaleDateString('en-US', options);
 }
 
+/**
+ * Local calendar date as "YYYY-MM-DD" (toISOString() would give the UTC date)
+ */
+function toLocalDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 function getTodayDateString() {
-  const today = new Date();
-  return today.toISOString().split('T')[0];
+  return toLocalDateString(new Date());
+}
+
+/**
+ * Move a "YYYY-MM-DD" date by a number of calendar days
+ */
+function shiftDateString(dateString, days) {
+  const date = new Date(dateString + 'T00:00:00');
+  date.setDate(date.getDate() + days);
+  return toLocalDateString(date);
 }
 
 function formatDate(dateString) {
@@ -219,6 +236,55 @@ function getMoodLabel(value) {
   return 'Excellent';
 }
 
+// Same red/yellow/green bands as getMoodColorClass() in app.js. Daily averages such as
+// 7.3 are rounded first, so they land in the band the 1–4 / 5–7 / 8–10 legends show.
+function getMoodColorClass(value) {
+  const rounded = Math.round(value);
+  if (rounded <= 4) return 'mood-low';
+  if (rounded <= 7) return 'mood-medium';
+  return 'mood-high';
+}
+
+/**
+ * Escape text before inserting it into innerHTML templates
+ */
+function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Trigger a browser download for generated content
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open a file picker and resolve with the chosen file (or null if cancelled)
+ */
+function pickFile(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => resolve(input.files[0] || null));
+    input.click();
+  });
+}
+
 // ============================================
 // TIME FORMATTING FUNCTIONS
 // ============================================
@@ -261,35 +327,45 @@ function formatDateTime(dateStr, timeStr) {
 /**
  * Get time of day label
  */
-function getTimeOfDay(timeStr) {
-  if (!timeStr) return '';
+const TIME_SLOTS = [
+  { key: 'morning', label: '🌅 Morning' },     // 5:00 - 11:59
+  { key: 'afternoon', label: '☀️ Afternoon' }, // 12:00 - 16:59
+  { key: 'evening', label: '🌆 Evening' },     // 17:00 - 20:59
+  { key: 'night', label: '🌙 Night' }          // 21:00 - 4:59
+];
+
+/**
+ * Time slot key for a 'HH:MM:SS' time, or null when no time was recorded
+ */
+function getTimeSlot(timeStr) {
+  if (!timeStr) return null;
   
   const hour = parseInt(timeStr.split(':')[0]);
   
-  if (hour >= 5 && hour < 12) return '🌅 Morning';
-  if (hour >= 12 && hour < 17) return '☀️ Afternoon';
-  if (hour >= 17 && hour < 21) return '🌆 Evening';
-  return '🌙 Night';
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+}
+
+function getTimeOfDay(timeStr) {
+  const slot = getTimeSlot(timeStr);
+  return slot ? TIME_SLOTS.find(s => s.key === slot).label : '';
 }
 
 function calculateStreak() {
   if (moodEntries.length === 0) return 0;
   
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Days follow the profile's rollover hour, so a 1 a.m. check-in can still extend yesterday
   let streak = 0;
-  let currentDate = new Date(today);
+  let currentDay = getCurrentDay();
   
-  const sortedEntries = [...moodEntries].sort((a, b) => new Date(b.date) - new Date(a.date));
-  
-  for (let entry of sortedEntries) {
-    const entryDate = new Date(entry.date + 'T00:00:00');
-    entryDate.setHours(0, 0, 0, 0);
-    
-    if (entryDate.getTime() === currentDate.getTime()) {
+  // One item per logged day, newest first
+  for (let entry of getDailyEntries()) {
+    if (entry.date === currentDay) {
       streak++;
-      currentDate.setDate(currentDate.getDate() - 1);
-    } else if (entryDate.getTime() < currentDate.getTime()) {
+      currentDay = shiftDateString(currentDay, -1);
+    } else if (entry.date < currentDay) {
       break;
     }
   }
@@ -302,14 +378,14 @@ function calculateStreak() {
 // ============================================
 function switchTab(tabName) {
   requestAnimationFrame(() => {
-    // Batch DOM updates
-    tabButtons.forEach(btn => {
+    // Batch DOM updates (queried live - some tabs are mounted at startup)
+    document.querySelectorAll('.tab-button').forEach(btn => {
       const isActive = btn.dataset.tab === tabName;
       btn.classList.toggle('active', isActive);
       btn.setAttribute('aria-selected', isActive);
     });
     
-    tabContents.forEach(content => {
+    document.querySelectorAll('.tab-content').forEach(content => {
       content.classList.toggle('active', content.id === `${tabName}-tab`);
     });
     
@@ -319,6 +395,8 @@ function switchTab(tabName) {
       drawGraph();
     } else if (tabName === 'history') {
       displayHistory();
+    } else if (tabName === 'calendar') {
+      displayCalendar();
     }
   });
 }
@@ -395,12 +473,13 @@ function setupSliderListeners() {
 // ============================================
 function setupNotesCounter() {
   if (notesInput && charCount) {
-    const updateCharCount = debounce(() => {
-      const length = notesInput.value.length;
-      charCount.textContent = `${length}/200`;
+    // Limit depends on journal mode (see getNotesLimit())
+    const onNotesInput = debounce(() => {
+      updateCharCount();
+      updateNotesPreview();
     }, 50);
     
-    notesInput.addEventListener('input', updateCharCount, { passive: true });
+    notesInput.addEventListener('input', onNotesInput, { passive: true });
   }
 }
 
@@ -425,6 +504,14 @@ function submitMood() {
   }
   console.log('Mood check passed:', selectedMood);
   
+  // 2a. Pick up a tag still sitting in the free-form box
+  if (!addTypedTags()) return;
+  
+  // 2b. Check the day/time picker (today unless backfilling a past day)
+  const now = new Date();
+  const target = getSelectedEntryDateTime(now);
+  if (!target) return;
+  
   // Add loading state
   if (submitButton) {
     submitButton.classList.add('loading');
@@ -434,10 +521,12 @@ function submitMood() {
   // Create entry immediately (no timeout for testing)
   console.log('📝 Creating entry...');
   
-  // Get current date and time
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-  const timeStr = now.toTimeString().split(' ')[0]; // HH:MM:SS
+  // Get entry date and time
+  const dateStr = target.date; // YYYY-MM-DD
+  const timeStr = target.time; // HH:MM:SS or null
+  const timestamp = target.backfilled
+    ? new Date(`${dateStr}T${timeStr || '00:00:00'}`).toISOString()
+    : now.toISOString();
   
   // 3. Get slider values
   const energy = parseInt(energySlider.value);
@@ -452,13 +541,16 @@ function submitMood() {
   console.log('Notes:', notes);
   
   // 5. Create entry with USER ID TAG and TIMESTAMP
-  const entry = {
-    id: `${currentUser.id}_${Date.now()}`,
+  // (an edited entry keeps its id, day and original time)
+  const editedEntry = editingEntryId ? moodEntries.find(e => e.id === editingEntryId) : null;
+  const entry = createEntry({
+    id: editedEntry ? editedEntry.id : undefined,
     userId: currentUser.id,
-    userName: currentUser.name,
-    date: dateStr,
-    time: timeStr,
-    timestamp: now.toISOString(),
+    date: editedEntry ? editedEntry.date : dateStr,
+    time: editedEntry ? editedEntry.time : timeStr,
+    timestamp: editedEntry ? editedEntry.timestamp : timestamp,
+    utcOffset: editedEntry ? editedEntry.utcOffset : undefined,
+    backfilled: editedEntry ? editedEntry.backfilled : target.backfilled,
     mood: selectedMood.mood,
     value: selectedMood.value,
     attributes: {
@@ -468,13 +560,17 @@ function submitMood() {
       productivity,
       social
     },
-    notes
-  };
+    // Values of trackers deleted since stay with the entry
+    trackers: { ...(editedEntry ? editedEntry.trackers : {}), ...readTrackerInputs() },
+    tags: [...selectedTags],
+    notes,
+    notesFormat: journalMode ? 'markdown' : undefined
+  });
     
   console.log('Entry created:', entry);
   
-  // 6. Update or add entry to CURRENT USER'S data
-  const existingIndex = moodEntries.findIndex(e => e.date === entry.date);
+  // 6. Update the edited entry, or add a new check-in (a day can hold several)
+  const existingIndex = editedEntry ? moodEntries.indexOf(editedEntry) : -1;
   if (existingIndex !== -1) {
     if (moodEntries[existingIndex].userId && moodEntries[existingIndex].userId !== currentUser.id) {
       console.error('❌ Cannot update entry from different user!');
@@ -484,7 +580,7 @@ function submitMood() {
     console.log('✏️ Updated existing entry');
   } else {
     moodEntries.push(entry);
-    console.log('➕ Added new entry');
+    console.log('➕ Added new check-in');
   }
   
   // 7. Sort entries
@@ -492,6 +588,7 @@ function submitMood() {
   
   // 8. Save to current user's storage
   allUserData[currentUser.id] = moodEntries;
+  persistEntries(currentUser.id);
   console.log(`✅ Saved ${moodEntries.length} entries for ${currentUser.name}`);
   
   // 9. Show success message
@@ -505,13 +602,7 @@ function submitMood() {
   resetTrackingForm();
   
   // 11. Update displays
-  const activeTab = document.querySelector('.tab-button.active')?.dataset.tab;
-  if (activeTab === 'stats') {
-    updateStatistics();
-    drawGraph();
-  } else if (activeTab === 'history') {
-    displayHistory();
-  }
+  refreshActiveTab();
   
   // 12. Remove loading state
   if (submitButton) {
@@ -547,9 +638,23 @@ function resetTrackingForm() {
   if (productivityValue) productivityValue.textContent = '5';
   if (socialValue) socialValue.textContent = '5';
   
+  // Custom trackers back to "not answered", no tags
+  fillTrackerInputs({});
+  setSelectedTags([]);
+  
   // Clear notes
   if (notesInput) notesInput.value = '';
-  if (charCount) charCount.textContent = '0/200';
+  updateCharCount();
+  updateNotesPreview();
+  
+  // Back to logging for right now
+  if (entryDateInput) entryDateInput.value = getTodayDateString();
+  if (entryTimeInput) entryTimeInput.value = '';
+  
+  // Leave edit mode
+  editingEntryId = null;
+  syncCancelEditButtons();
+  updateSubmitButtonLabel();
   
   console.log('✅ Form reset complete');
 }
@@ -580,14 +685,8 @@ function calculateTimeDistribution(entries) {
   };
   
   entries.forEach(entry => {
-    if (!entry.time) return;
-    
-    const hour = parseInt(entry.time.split(':')[0]);
-    
-    if (hour >= 5 && hour < 12) distribution.morning++;
-    else if (hour >= 12 && hour < 17) distribution.afternoon++;
-    else if (hour >= 17 && hour < 21) distribution.evening++;
-    else distribution.night++;
+    const slot = getTimeSlot(entry.time);
+    if (slot) distribution[slot]++;
   });
   
   return distribution;
@@ -617,16 +716,23 @@ function updateStatisticsInternal() {
     streakValue.textContent = '0 days';
     totalValue.textContent = '0 days';
     attributeBars.innerHTML = '<p style="text-align: center; color: var(--color-text-secondary); padding: 20px;">No data yet. Start tracking!</p>';
+    displayYearHeatmap([]);
+    displaySeasonality(new Map());
+    displayInsights([]);
+    displayMoodPatterns([]);
     return;
   }
   
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Start of the profile's current day (see getCurrentDay())
+  const today = new Date(getCurrentDay() + 'T00:00:00');
+  
+  // Averages count each day once, using the profile's daily aggregate
+  const dailyEntries = getDailyEntries();
   
   // Weekly average
   const weekAgo = new Date(today);
   weekAgo.setDate(weekAgo.getDate() - 7);
-  const weekEntries = moodEntries.filter(e => {
+  const weekEntries = dailyEntries.filter(e => {
     const entryDate = new Date(e.date + 'T00:00:00');
     return entryDate >= weekAgo;
   });
@@ -643,7 +749,7 @@ function updateStatisticsInternal() {
   // Monthly average
   const monthAgo = new Date(today);
   monthAgo.setDate(monthAgo.getDate() - 30);
-  const monthEntries = moodEntries.filter(e => {
+  const monthEntries = dailyEntries.filter(e => {
     const entryDate = new Date(e.date + 'T00:00:00');
     return entryDate >= monthAgo;
   });
@@ -661,14 +767,30 @@ function updateStatisticsInternal() {
   const streak = calculateStreak();
   streakValue.textContent = `${streak} day${streak !== 1 ? 's' : ''}`;
   
-  // Total
-  totalValue.textContent = `${moodEntries.length} day${moodEntries.length !== 1 ? 's' : ''}`;
+  // Total (days logged, however many check-ins each had)
+  totalValue.textContent = `${dailyEntries.length} day${dailyEntries.length !== 1 ? 's' : ''}`;
+  totalValue.title = `${moodEntries.length} check-in${moodEntries.length !== 1 ? 's' : ''}`;
   
   // Attribute bars
-  updateAttributeBars();
+  updateAttributeBars(dailyEntries);
+  
+  // Wellbeing score (if container exists)
+  displayWellbeingScore(dailyEntries);
+  
+  // Year in pixels (if container exists)
+  displayYearHeatmap(dailyEntries);
+  
+  // Seasonality (if container exists), from the same days as the averages above
+  displaySeasonality(getMonthTotals(dailyEntries));
+  
+  // Attribute/mood insights (if container exists)
+  displayInsights(dailyEntries);
   
   // Time distribution (if container exists)
   displayTimeDistribution();
+  
+  // Weekday × time of day averages (if container exists)
+  displayMoodPatterns(moodEntries);
 }
 
 /**
@@ -717,21 +839,50 @@ function displayTimeDistribution() {
   `;
 }
 
-function updateAttributeBars() {
-  const attributes = [
-    { name: 'Energy Level', icon: '⚡', key: 'energy' },
-    { name: 'Sleep Quality', icon: '😴', key: 'sleep' },
-    { name: 'Stress Level', icon: '😰', key: 'stress' },
-    { name: 'Productivity', icon: '✅', key: 'productivity' },
-    { name: 'Social Connection', icon: '💬', key: 'social' }
-  ];
+function updateAttributeBars(dailyEntries = getDailyEntries()) {
+  const bars = ATTRIBUTES.map(attr => {
+    const total = dailyEntries.reduce((sum, e) => sum + e.attributes[attr.key], 0);
+    const avg = total / dailyEntries.length;
+    return {
+      icon: attr.icon,
+      name: attr.name,
+      polarity: getAttributePolarity(attr),
+      label: `${avg.toFixed(1)}/10`,
+      percentage: ratingShare(avg) * 100
+    };
+  });
+  
+  // Custom trackers average only the days they were answered on
+  getCustomTrackers().forEach(tracker => {
+    const days = dailyEntries.filter(e => e.trackers[tracker.id] !== undefined);
+    const bar = {
+      icon: escapeHTML(tracker.icon),
+      name: escapeHTML(tracker.name),
+      polarity: getTrackerPolarity(tracker),
+      label: '–',
+      percentage: 0
+    };
+    
+    if (days.length > 0) {
+      const avg = days.reduce((sum, e) => sum + e.trackers[tracker.id], 0) / days.length;
+      if (tracker.type === 'boolean') {
+        bar.percentage = avg * 100;
+        bar.label = `${Math.round(avg * 100)}% yes`;
+      } else {
+        bar.percentage = ratingShare(avg, tracker.min, tracker.max) * 100;
+        bar.label = `${avg.toFixed(1)}/${tracker.max}`;
+      }
+    }
+    bars.push(bar);
+  });
   
   attributeBars.innerHTML = '';
   
-  attributes.forEach(attr => {
-    const total = moodEntries.reduce((sum, e) => sum + e.attributes[attr.key], 0);
-    const avg = total / moodEntries.length;
-    const percentage = (avg / 10) * 100;
+  bars.forEach(attr => {
+    // Colour by how good the value is, so a high stress bar doesn't look like a win
+    const goodness = attr.polarity === 'lower' ? 100 - attr.percentage : attr.percentage;
+    const fillClass = attr.polarity === 'neutral' ? ''
+      : goodness >= 60 ? ' is-good' : goodness <= 40 ? ' is-poor' : '';
     
     const barItem = document.createElement('div');
     barItem.className = 'attribute-bar-item';
@@ -740,11 +891,12 @@ function updateAttributeBars() {
         <div class="attribute-bar-name">
           <span>${attr.icon}</span>
           <span>${attr.name}</span>
+          ${attr.polarity === 'lower' ? '<span class="attribute-bar-polarity">lower is better</span>' : ''}
         </div>
-        <div class="attribute-bar-value">${avg.toFixed(1)}/10</div>
+        <div class="attribute-bar-value">${attr.label}</div>
       </div>
       <div class="attribute-bar-track">
-        <div class="attribute-bar-fill" style="width: ${percentage}%"></div>
+        <div class="attribute-bar-fill${fillClass}" style="width: ${attr.percentage}%"></div>
       </div>
     `;
     
@@ -755,6 +907,11 @@ function updateAttributeBars() {
 // ============================================
 // GRAPH DRAWING
 // ============================================
+const GRAPH_SIZE = { width: 800, height: 300 };
+const GRAPH_PADDING = { top: 20, right: 20, bottom: 40, left: 40 };
+const MAX_X_LABELS = 8;
+const DENSE_GRAPH_POINTS = 60; // Past this many points, dots are left off and only lines drawn
+
 // Optimized graph drawing with RAF
 function drawGraph() {
   requestAnimationFrame(() => {
@@ -782,24 +939,32 @@ function drawGraphInternal() {
   moodGraph.classList.add('show');
   graphEmpty.classList.add('hide');
   
+  // Nothing logged in the whole window: show the empty state rather than an empty axis
   const data = prepareGraphData();
-  if (!data || data.values.length === 0) {
+  lastGraphBuckets = data ? data.buckets : [];
+  updateGraphRangeControls();
+  if (!data || data.values.every(value => value === null)) {
     moodGraph.classList.remove('show');
     graphEmpty.classList.remove('hide');
     return;
   }
   
-  const width = 800;
-  const height = 300;
-  const padding = { top: 20, right: 20, bottom: 40, left: 40 };
+  const { width, height } = GRAPH_SIZE;
+  const padding = GRAPH_PADDING;
   const graphWidth = width - padding.left - padding.right;
   const graphHeight = height - padding.top - padding.bottom;
+  const dense = data.values.length > DENSE_GRAPH_POINTS;
   
   moodGraph.innerHTML = '';
+  moodGraph.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  
+  // Scale follows the plotted metric (mood 0-10, or a custom tracker's range)
+  const yRange = data.max - data.min;
   
   // Draw grid lines
   for (let i = 0; i <= 10; i += 2) {
     const y = padding.top + graphHeight - (i / 10 * graphHeight);
+    const gridValue = data.min + yRange * i / 10;
     const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
     line.setAttribute('x1', padding.left);
     line.setAttribute('y1', y);
@@ -817,58 +982,63 @@ function drawGraphInternal() {
     label.setAttribute('text-anchor', 'end');
     label.setAttribute('font-size', '12');
     label.setAttribute('fill', 'var(--color-text-secondary)');
-    label.textContent = i;
+    label.textContent = Number.isInteger(gridValue) ? gridValue : gridValue.toFixed(1);
     moodGraph.appendChild(label);
   }
   
-  // Calculate points
-  const points = data.values.map((value, index) => {
-    const x = padding.left + (index / Math.max(data.values.length - 1, 1)) * graphWidth;
-    const y = padding.top + graphHeight - (value / 10 * graphHeight);
+  // Attribute overlays first, so the main line stays on top
+  const gapMode = getGraphGapMode();
+  const baseline = height - padding.bottom;
+  const toPoints = values => values.map((value, index) => {
+    const x = padding.left + (index / Math.max(values.length - 1, 1)) * graphWidth;
+    const y = value === null ? null : padding.top + graphHeight - ((value - data.min) / yRange * graphHeight);
     return { x, y, value, label: data.labels[index] };
   });
   
-  // Draw line
-  if (points.length > 0) {
-    let pathD = `M ${points[0].x} ${points[0].y}`;
-    for (let i = 1; i < points.length; i++) {
-      pathD += ` L ${points[i].x} ${points[i].y}`;
-    }
-    
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathD);
-    path.setAttribute('stroke', '#6C63FF');
-    path.setAttribute('stroke-width', '3');
-    path.setAttribute('fill', 'none');
-    path.setAttribute('stroke-linecap', 'round');
-    path.setAttribute('stroke-linejoin', 'round');
-    moodGraph.appendChild(path);
-    
-    // Draw area fill
-    const areaD = pathD + 
-      ` L ${points[points.length - 1].x} ${height - padding.bottom}` +
-      ` L ${points[0].x} ${height - padding.bottom} Z`;
-    
-    const area = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    area.setAttribute('d', areaD);
-    area.setAttribute('fill', 'rgba(108, 99, 255, 0.1)');
-    moodGraph.appendChild(area);
-    
-    // Draw points
-    points.forEach(point => {
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      circle.setAttribute('cx', point.x);
-      circle.setAttribute('cy', point.y);
-      circle.setAttribute('r', '5');
-      circle.setAttribute('fill', '#6C63FF');
-      circle.setAttribute('stroke', 'white');
-      circle.setAttribute('stroke-width', '2');
-      moodGraph.appendChild(circle);
+  data.overlays.forEach(overlay => {
+    drawGraphSeries(toPoints(overlay.values), gapMode, { color: overlay.color, width: 2, radius: dense ? 0 : 3 });
+  });
+  
+  const points = toPoints(data.values);
+  drawGraphSeries(points, gapMode, {
+    color: '#6C63FF',
+    width: 3,
+    radius: dense ? 0 : 5,
+    area: { fill: 'rgba(108, 99, 255, 0.1)', baseline }
+  });
+  
+  data.analyses.forEach(analysis => {
+    drawGraphSeries(toPoints(analysis.values), 'break', {
+      color: analysis.color,
+      width: 2,
+      radius: 0,
+      dash: analysis.key === 'trend' ? '8,6' : null
     });
-  }
+  });
   
-  // Draw X-axis labels
+  // Hollow markers on the x-axis where nothing was logged
+  points.filter(point => point.value === null).forEach(point => {
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    marker.setAttribute('cx', point.x);
+    marker.setAttribute('cy', baseline);
+    marker.setAttribute('r', '4');
+    marker.setAttribute('fill', 'none');
+    marker.setAttribute('stroke', 'var(--color-text-secondary)');
+    marker.setAttribute('stroke-width', '1.5');
+    marker.setAttribute('class', 'graph-gap-marker');
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = `${point.label}: no data`;
+    marker.appendChild(title);
+    moodGraph.appendChild(marker);
+  });
+  
+  renderGraphLegend(data);
+  
+  // Draw X-axis labels, thinned to at most MAX_X_LABELS (always keeping the latest)
+  const labelStep = Math.ceil(data.labels.length / MAX_X_LABELS);
   data.labels.forEach((label, index) => {
+    if ((data.labels.length - 1 - index) % labelStep !== 0) return;
+    
     const x = padding.left + (index / Math.max(data.labels.length - 1, 1)) * graphWidth;
     const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
     text.setAttribute('x', x);
@@ -881,85 +1051,150 @@ function drawGraphInternal() {
   });
 }
 
-function prepareGraphData() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+/**
+ * One series on the mood graph: solid runs of points (each with an optional filled area
+ * down to baseline), dotted bridges over gaps and a dot per logged value. Points with a
+ * null value are gaps; see splitGraphSegments() for how gapMode treats them.
+ */
+function drawGraphSeries(points, gapMode, { color, width, radius, area, dash }) {
+  const { segments, bridges } = splitGraphSegments(points, gapMode);
+  if (segments.length === 0) return;
   
-  if (currentPeriod === 'daily') {
-    const labels = [];
-    const values = [];
+  const toPath = run => run.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+  
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  path.setAttribute('d', segments.map(toPath).join(' '));
+  path.setAttribute('stroke', color);
+  path.setAttribute('stroke-width', width);
+  path.setAttribute('fill', 'none');
+  path.setAttribute('stroke-linecap', 'round');
+  path.setAttribute('stroke-linejoin', 'round');
+  if (dash) path.setAttribute('stroke-dasharray', dash);
+  moodGraph.appendChild(path);
+  
+  if (bridges.length > 0) {
+    const bridge = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    bridge.setAttribute('d', bridges.map(toPath).join(' '));
+    bridge.setAttribute('stroke', color);
+    bridge.setAttribute('stroke-width', Math.max(width - 1, 1));
+    bridge.setAttribute('stroke-dasharray', '2,6');
+    bridge.setAttribute('stroke-linecap', 'round');
+    bridge.setAttribute('fill', 'none');
+    bridge.setAttribute('opacity', '0.6');
+    moodGraph.appendChild(bridge);
+  }
+  
+  // Draw area fill under each solid run
+  if (area) {
+    const areaD = segments.map(run => toPath(run) +
+      ` L ${run[run.length - 1].x} ${area.baseline}` +
+      ` L ${run[0].x} ${area.baseline} Z`).join(' ');
     
+    const areaPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    areaPath.setAttribute('d', areaD);
+    areaPath.setAttribute('fill', area.fill);
+    moodGraph.appendChild(areaPath);
+  }
+  
+  // Draw points (carried-forward values have no dot of their own)
+  if (radius === 0) return;
+  segments.flat().filter(point => !point.carried).forEach(point => {
+    const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('cx', point.x);
+    circle.setAttribute('cy', point.y);
+    circle.setAttribute('r', radius);
+    circle.setAttribute('fill', color);
+    circle.setAttribute('stroke', 'white');
+    circle.setAttribute('stroke-width', '2');
+    moodGraph.appendChild(circle);
+  });
+}
+
+/**
+ * The graph's x-axis for the current period: one { label, start, end } per point,
+ * with inclusive 'YYYY-MM-DD' bounds
+ */
+function getGraphBuckets() {
+  // Year, all time, a custom range or a zoomed window (see GRAPH RANGES, ZOOM & PAN)
+  const range = getGraphRange();
+  if (range) return getRangeBuckets(range.start, range.end);
+  
+  // Start of the profile's current day (see getCurrentDay())
+  const today = new Date(getCurrentDay() + 'T00:00:00');
+  const buckets = [];
+  
+  if (currentPeriod === 'daily') {
     for (let i = 6; i >= 0; i--) {
       const date = new Date(today);
       date.setDate(date.getDate() - i);
-      const dateString = date.toISOString().split('T')[0];
-      
-      const entry = moodEntries.find(e => e.date === dateString);
+      const dateString = toLocalDateString(date);
       
       const dayLabel = i === 0 ? 'Today' : 
                      i === 1 ? 'Yesterday' : 
                      date.toLocaleDateString('en-US', { weekday: 'short' });
       
-      labels.push(dayLabel);
-      values.push(entry ? entry.value : 5);
+      buckets.push({ label: dayLabel, start: dateString, end: dateString });
     }
-    
-    return { labels, values };
-    
   } else if (currentPeriod === 'weekly') {
-    const labels = [];
-    const values = [];
-    
     for (let i = 3; i >= 0; i--) {
       const weekEnd = new Date(today);
       weekEnd.setDate(weekEnd.getDate() - (i * 7));
       const weekStart = new Date(weekEnd);
       weekStart.setDate(weekStart.getDate() - 6);
       
-      const weekEntries = moodEntries.filter(e => {
-        const entryDate = new Date(e.date + 'T00:00:00');
-        return entryDate >= weekStart && entryDate <= weekEnd;
-      });
-      
       const weekLabel = i === 0 ? 'This Week' : `${i}w ago`;
-      labels.push(weekLabel);
-      
-      if (weekEntries.length > 0) {
-        const avg = weekEntries.reduce((sum, e) => sum + e.value, 0) / weekEntries.length;
-        values.push(parseFloat(avg.toFixed(1)));
-      } else {
-        values.push(5);
-      }
+      buckets.push({ label: weekLabel, start: toLocalDateString(weekStart), end: toLocalDateString(weekEnd) });
     }
-    
-    return { labels, values };
-    
   } else if (currentPeriod === 'monthly') {
-    const labels = [];
-    const values = [];
-    
     for (let i = 5; i >= 0; i--) {
       const monthDate = new Date(today.getFullYear(), today.getMonth() - i, 1);
       const monthEnd = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0);
       
-      const monthEntries = moodEntries.filter(e => {
-        const entryDate = new Date(e.date + 'T00:00:00');
-        return entryDate >= monthDate && entryDate <= monthEnd;
-      });
-      
       const monthLabel = monthDate.toLocaleDateString('en-US', { month: 'short' });
-      labels.push(monthLabel);
-      
-      if (monthEntries.length > 0) {
-        const avg = monthEntries.reduce((sum, e) => sum + e.value, 0) / monthEntries.length;
-        values.push(parseFloat(avg.toFixed(1)));
-      } else {
-        values.push(5);
-      }
+      buckets.push({ label: monthLabel, start: toLocalDateString(monthDate), end: toLocalDateString(monthEnd) });
     }
-    
-    return { labels, values };
   }
+  
+  return buckets;
+}
+
+/**
+ * Average of valueOf(day) over each bucket (1 decimal); null where nothing was logged
+ */
+function getBucketValues(buckets, dailyEntries, valueOf) {
+  return buckets.map(({ start, end }) => {
+    const values = dailyEntries
+      .filter(day => day.date >= start && day.date <= end)
+      .map(valueOf)
+      .filter(value => value !== undefined);
+    
+    if (values.length === 0) return null;
+    return parseFloat((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1));
+  });
+}
+
+function prepareGraphData() {
+  const buckets = getGraphBuckets();
+  if (buckets.length === 0) return null;
+  
+  // One value per day for each series, however many check-ins it had
+  const metric = getGraphMetric();
+  const dailyEntries = getDailyEntries();
+  const values = getBucketValues(buckets, dailyEntries, metric.valueOf);
+  
+  return {
+    buckets,
+    labels: buckets.map(b => b.label),
+    values,
+    min: metric.min,
+    max: metric.max,
+    overlays: getGraphOverlays(metric).map(attr => ({
+      ...attr,
+      values: getBucketValues(buckets, dailyEntries, day => day.attributes[attr.key])
+    })),
+    // Moving averages and trend line (see TRENDS & SEASONALITY)
+    analyses: getGraphAnalyses(buckets, dailyEntries, metric, values)
+  };
 }
 
 // Event delegation for period buttons
@@ -970,9 +1205,11 @@ function setupPeriodListeners() {
       const btn = e.target.closest('.period-button');
       if (btn && btn.dataset.period) {
         requestAnimationFrame(() => {
-          periodButtons.forEach(b => b.classList.remove('active'));
+          // Year, all time and custom are added later (see GRAPH RANGES), so look them up each time
+          periodSelector.querySelectorAll('.period-button').forEach(b => b.classList.remove('active'));
           btn.classList.add('active');
           currentPeriod = btn.dataset.period;
+          graphZoom = null;
           drawGraph();
         });
       }
@@ -993,6 +1230,9 @@ function displayHistory() {
   
   console.log(`📜 Displaying history for ${currentUser.name} (${moodEntries.length} entries)`);
   
+  // Saved/custom view chips (drops back to "all" if the view no longer exists)
+  renderSavedViewChips();
+  
   if (moodEntries.length === 0) {
     historyList.innerHTML = '';
     historyEmpty.classList.remove('hide');
@@ -1001,83 +1241,289 @@ function displayHistory() {
   
   historyEmpty.classList.add('hide');
   
-  let filteredEntries = [...moodEntries];
+  const wellbeingComponents = getWellbeingComponents();
+  const viewCriteria = getActiveViewCriteria();
+  const matchesChip = viewCriteria
+    ? entry => matchesView(entry, viewCriteria, wellbeingComponents)
+    : getFilterChipTest(currentFilter);
   
-  if (currentFilter === 'week') {
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    filteredEntries = filteredEntries.filter(e => {
-      const entryDate = new Date(e.date + 'T00:00:00');
-      return entryDate >= weekAgo;
-    });
-  } else if (currentFilter === 'month') {
-    const monthAgo = new Date();
-    monthAgo.setDate(monthAgo.getDate() - 30);
-    filteredEntries = filteredEntries.filter(e => {
-      const entryDate = new Date(e.date + 'T00:00:00');
-      return entryDate >= monthAgo;
-    });
-  } else if (currentFilter === 'good') {
-    filteredEntries = filteredEntries.filter(e => e.value >= 7);
-  } else if (currentFilter === 'tough') {
-    filteredEntries = filteredEntries.filter(e => e.value <= 4);
-  }
+  // Tag chips narrow the chip or view to entries carrying every picked tag,
+  // and the search box query narrows further still
+  renderTagFilterChips();
+  const tags = [...activeTagFilters];
+  const searching = isSearchActive();
+  
+  // One pass over the entries, however many filters are on
+  const filteredEntries = moodEntries.filter(entry =>
+    matchesChip(entry) &&
+    tags.every(tag => (entry.tags || []).includes(tag)) &&
+    (!searching || matchesSearch(entry, currentSearchQuery, wellbeingComponents))
+  );
+  updateSearchHint(filteredEntries.length);
   
   if (filteredEntries.length === 0) {
     historyList.innerHTML = '<p style="text-align: center; color: var(--color-text-secondary); padding: 40px;">No entries found for this filter.</p>';
     return;
   }
   
+  // Day summaries use every check-in of the day, not just the ones the filter kept
+  const dailyByDate = new Map(getDailyEntries().map(day => [day.date, day]));
+  const sort = viewCriteria ? viewCriteria.sort : 'newest';
+  const dayGroups = sortDayGroups(groupEntriesByDay(filteredEntries), sort, dailyByDate);
+  
+  renderHistoryChunks(buildHistoryChunks(dayGroups, sort), {
+    dailyByDate,
+    wellbeingComponents,
+    aggregateLabel: getDailyAggregate() === 'last' ? 'last' : 'avg',
+    highlightTerms: isSearchActive() ? currentSearchQuery.terms : []
+  });
+}
+
+/**
+ * Test for one of the fixed filter chips; 'all' (or an unknown chip) keeps everything
+ */
+function getFilterChipTest(filter) {
+  if (filter === 'week' || filter === 'month') {
+    const since = shiftDateString(getCurrentDay(), filter === 'week' ? -7 : -30);
+    return entry => getEntryDay(entry) >= since;
+  }
+  if (filter === 'good') return entry => entry.value >= 7;
+  if (filter === 'tough') return entry => entry.value <= 4;
+  return () => true;
+}
+
+// ============================================
+// HISTORY WINDOWING
+// ============================================
+// The list is split into chunks of at most HISTORY_CHUNK_CHECK_INS check-ins: within a
+// month when sorted by date (a busy month gets several), plain pages when sorted by mood.
+// Every chunk gets a sticky header and a spacer; its day groups are only built while it
+// is near the viewport, and swapped back for a spacer of the measured height once it
+// scrolls far away. The DOM therefore holds a few hundred cards at most.
+const HISTORY_CHUNK_CHECK_INS = 100;
+const HISTORY_RENDER_MARGIN = '800px 0px';
+const ESTIMATED_DAY_HEIGHT = 56;
+const ESTIMATED_CARD_HEIGHT = 180;
+
+let historyObserver = null;
+const historyChunkState = new Map(); // .history-month-body -> { chunk, context, rendered }
+const historyChunkHeights = new Map(); // chunk key + size -> last measured height in px
+
+/**
+ * Split sorted day groups into chunks; a day's check-ins always stay together
+ */
+function buildHistoryChunks(dayGroups, sort) {
+  const chunks = [];
+  const byDate = sort === 'newest' || sort === 'oldest';
+  
+  dayGroups.forEach((group, index) => {
+    const month = byDate ? group.date.slice(0, 7) : null;
+    let chunk = chunks[chunks.length - 1];
+    
+    if (!chunk || chunk.month !== month || chunk.checkIns + group.entries.length > HISTORY_CHUNK_CHECK_INS) {
+      const part = chunk && chunk.month === month ? chunk.part + 1 : 0;
+      chunk = { key: `${month || 'page'}-${byDate ? part : chunks.length}`, month, part, firstDay: index, days: [], checkIns: 0 };
+      chunks.push(chunk);
+    }
+    chunk.days.push(group);
+    chunk.checkIns += group.entries.length;
+  });
+  
+  chunks.forEach(chunk => {
+    if (chunk.month) {
+      const monthLabel = new Date(`${chunk.month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+      chunk.label = chunk.part > 0 ? `${monthLabel} (continued)` : monthLabel;
+    } else {
+      chunk.label = `Days ${chunk.firstDay + 1}–${chunk.firstDay + chunk.days.length}`;
+    }
+  });
+  
+  return chunks;
+}
+
+function renderHistoryChunks(chunks, context) {
+  if (historyObserver) {
+    historyObserver.disconnect();
+    historyObserver = null;
+  }
+  
+  historyChunkState.clear();
   historyList.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  
+  chunks.forEach(chunk => {
+    const section = document.createElement('section');
+    section.className = 'history-month';
+    section.innerHTML = `
+      <h3 class="history-month-header">
+        <span>${chunk.label}</span>
+        <span class="history-month-summary">${chunk.days.length} day${chunk.days.length !== 1 ? 's' : ''} · ${chunk.checkIns} check-in${chunk.checkIns !== 1 ? 's' : ''}</span>
+      </h3>
+      <div class="history-month-body"></div>
+    `;
+    const body = section.querySelector('.history-month-body');
+    historyChunkState.set(body, { chunk, context, rendered: false });
+    clearHistoryChunk(body);
+    fragment.appendChild(section);
+  });
+  
+  historyList.appendChild(fragment);
+  
+  // Without IntersectionObserver, fall back to rendering everything
+  if (typeof IntersectionObserver === 'undefined') {
+    historyList.querySelectorAll('.history-month-body').forEach(fillHistoryChunk);
+    return;
+  }
   
-  // Use DocumentFragment for batch DOM insertion (performance optimization)
+  historyObserver = new IntersectionObserver((observed) => {
+    observed.forEach(({ target, isIntersecting }) => {
+      if (isIntersecting) {
+        fillHistoryChunk(target);
+      } else {
+        clearHistoryChunk(target);
+      }
+    });
+  }, { rootMargin: HISTORY_RENDER_MARGIN });
+  
+  historyList.querySelectorAll('.history-month-body').forEach(body => historyObserver.observe(body));
+}
+
+/**
+ * Build the day groups of a chunk (no-op if already built)
+ */
+function fillHistoryChunk(body) {
+  const state = historyChunkState.get(body);
+  if (!state || state.rendered) return;
+  
+  const { days } = state.chunk;
+  const { dailyByDate, wellbeingComponents, aggregateLabel, highlightTerms } = state.context;
   const fragment = document.createDocumentFragment();
   
-  filteredEntries.forEach(entry => {
-    const card = document.createElement('div');
-    card.className = 'history-card';
-    
-    // Format date and time
-    const dateTimeStr = formatDateTime(entry.date, entry.time);
-    const timeOfDay = getTimeOfDay(entry.time);
-    
-    card.innerHTML = `
-      <div class="history-header">
-        <div class="history-emoji">${getMoodEmoji(entry.value)}</div>
-        <div class="history-info">
-          <div class="history-date">${dateTimeStr}</div>
-          ${entry.time ? `<div class="history-time-label">${timeOfDay}</div>` : ''}
-        </div>
-        <div class="history-mood-value">${entry.value}/10</div>
-      </div>
-      <div class="history-attributes">
-        <div class="history-attr">
-          <span class="history-attr-icon">⚡</span>
-          <span class="history-attr-value">${entry.attributes.energy}</span>
-        </div>
-        <div class="history-attr">
-          <span class="history-attr-icon">😴</span>
-          <span class="history-attr-value">${entry.attributes.sleep}</span>
-        </div>
-        <div class="history-attr">
-          <span class="history-attr-icon">😰</span>
-          <span class="history-attr-value">${entry.attributes.stress}</span>
-        </div>
-        <div class="history-attr">
-          <span class="history-attr-icon">✅</span>
-          <span class="history-attr-value">${entry.attributes.productivity}</span>
-        </div>
-        <div class="history-attr">
-          <span class="history-attr-icon">💬</span>
-          <span class="history-attr-value">${entry.attributes.social}</span>
+  days.forEach(({ date, entries }) => {
+    const day = dailyByDate.get(date);
+    const dayGroup = document.createElement('div');
+    dayGroup.className = 'history-day';
+    dayGroup.innerHTML = `
+      <div class="history-day-header">
+        <div class="history-day-date">${formatDateTime(date)}</div>
+        <div class="history-day-summary">
+          ${day.count} check-in${day.count !== 1 ? 's' : ''} · ${aggregateLabel} ${day.value}/10 ${getMoodEmoji(Math.round(day.value))}
         </div>
       </div>
-      ${entry.notes ? `<div class="history-notes">"${entry.notes}"</div>` : ''}
+      <div class="history-timeline"></div>
     `;
-    fragment.appendChild(card);
+    const timeline = dayGroup.querySelector('.history-timeline');
+    
+    entries.forEach(entry => {
+      timeline.appendChild(createHistoryCard(entry, wellbeingComponents, highlightTerms));
+    });
+    fragment.appendChild(dayGroup);
   });
   
-  historyList.appendChild(fragment);
+  body.innerHTML = '';
+  body.style.height = '';
+  body.appendChild(fragment);
+  state.rendered = true;
+}
+
+/**
+ * Replace a chunk's cards with a spacer of the same height, so the scroll position holds
+ */
+function clearHistoryChunk(body) {
+  const state = historyChunkState.get(body);
+  if (!state) return;
+  
+  const { key, days, checkIns } = state.chunk;
+  const heightKey = `${key}:${days.length}:${checkIns}`;
+  
+  if (state.rendered) {
+    historyChunkHeights.set(heightKey, body.offsetHeight);
+  }
+  const height = historyChunkHeights.get(heightKey) ||
+    days.length * ESTIMATED_DAY_HEIGHT + checkIns * ESTIMATED_CARD_HEIGHT;
+  
+  body.innerHTML = '';
+  body.style.height = `${height}px`;
+  state.rendered = false;
+}
+
+/**
+ * Build one check-in card for the history timeline
+ */
+function createHistoryCard(entry, wellbeingComponents = getWellbeingComponents(), highlightTerms = []) {
+  const card = document.createElement('div');
+  card.className = 'history-card timeline-item';
+  
+  // The day is shown by the group header; each check-in shows its time
+  const timeStr = entry.time ? formatTimeShort(entry.time) : 'Time not recorded';
+  const timeOfDay = getTimeOfDay(entry.time);
+  const afterMidnight = getEntryDay(entry) !== entry.date ? ' · after midnight' : '';
+  
+  // Times are the local clock where the entry was logged; flag ones from another timezone
+  const offsetNote = typeof entry.utcOffset === 'number' && entry.utcOffset !== getUtcOffset(new Date())
+    ? ` (${formatUtcOffset(entry.utcOffset)})`
+    : '';
+  
+  const trackerAnswers = getCustomTrackers().filter(t => entry.trackers && entry.trackers[t.id] !== undefined);
+  const wellbeing = calculateWellbeing(entry, wellbeingComponents);
+  
+  card.innerHTML = `
+    <div class="history-header">
+      <div class="history-emoji">${getMoodEmoji(entry.value)}</div>
+      <div class="history-info">
+        <div class="history-date">${timeStr}${offsetNote}</div>
+        ${entry.time ? `<div class="history-time-label">${timeOfDay}${afterMidnight}</div>` : ''}
+        ${entry.backfilled ? '<span class="history-badge" title="Logged later for a past day">⏪ Backfilled</span>' : ''}
+      </div>
+      <div class="history-scores">
+        <div class="history-mood-value">${entry.value}/10</div>
+        ${wellbeing === null ? '' : `<div class="history-wellbeing" title="Wellbeing score">💚 ${wellbeing}</div>`}
+      </div>
+    </div>
+    <div class="history-attributes">
+      <div class="history-attr">
+        <span class="history-attr-icon">⚡</span>
+        <span class="history-attr-value">${entry.attributes.energy}</span>
+      </div>
+      <div class="history-attr">
+        <span class="history-attr-icon">😴</span>
+        <span class="history-attr-value">${entry.attributes.sleep}</span>
+      </div>
+      <div class="history-attr">
+        <span class="history-attr-icon">😰</span>
+        <span class="history-attr-value">${entry.attributes.stress}</span>
+      </div>
+      <div class="history-attr">
+        <span class="history-attr-icon">✅</span>
+        <span class="history-attr-value">${entry.attributes.productivity}</span>
+      </div>
+      <div class="history-attr">
+        <span class="history-attr-icon">💬</span>
+        <span class="history-attr-value">${entry.attributes.social}</span>
+      </div>
+    </div>
+    ${trackerAnswers.length > 0 ? `
+      <div class="history-attributes history-trackers">
+        ${trackerAnswers.map(tracker => `
+          <div class="history-attr" title="${escapeHTML(tracker.name)}">
+            <span class="history-attr-icon">${escapeHTML(tracker.icon)}</span>
+            <span class="history-attr-value">${formatTrackerValue(tracker, entry.trackers[tracker.id])}</span>
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+    ${entry.tags && entry.tags.length > 0 ? `
+      <div class="history-tags">
+        ${entry.tags.map(tag => `<span class="history-tag">#${escapeHTML(tag)}</span>`).join('')}
+      </div>
+    ` : ''}
+    ${renderEntryNotes(entry, highlightTerms)}
+    <div class="history-actions">
+      <button class="history-action-btn" data-action="edit" data-entry-id="${escapeHTML(entry.id)}">✏️ Edit</button>
+      <button class="history-action-btn delete" data-action="delete" data-entry-id="${escapeHTML(entry.id)}">🗑️ Delete</button>
+    </div>
+  `;
+  return card;
 }
 
 // Event delegation for filter chips
@@ -1086,9 +1532,12 @@ function setupFilterListeners() {
   if (filterContainer) {
     filterContainer.addEventListener('click', (e) => {
       const chip = e.target.closest('.filter-chip');
-      if (chip && chip.dataset.filter) {
+      if (chip && chip.dataset.action === 'custom-view') {
+        showViewBuilder();
+      } else if (chip && chip.dataset.filter) {
         requestAnimationFrame(() => {
-          filterChips.forEach(c => c.classList.remove('active'));
+          // Saved view chips are rendered later, so look them up each time
+          filterContainer.querySelectorAll('.filter-chip[data-filter]').forEach(c => c.classList.remove('active'));
           chip.classList.add('active');
           currentFilter = chip.dataset.filter;
           displayHistory();
@@ -1099,41 +1548,4944 @@ function setupFilterListeners() {
 }
 
 // ============================================
-// USER MANAGEMENT FUNCTIONS
+// ENTRY SCHEMA & MIGRATIONS
 // ============================================
+// Every entry is stored in this shape (schemaVersion 3):
+//   {
+//     schemaVersion: 3,
+//     id:         string   - unique per user, e.g. "<userId>_<ms>"
+//     userId:     string   - owning profile
+//     date:       string   - "YYYY-MM-DD" local calendar date where it was logged
+//     time:       string|null - "HH:MM:SS" local clock time, null when unknown
+//     timestamp:  string   - ISO 8601 instant the entry describes
+//     utcOffset:  number|null - minutes east of UTC at that instant (e.g. 120 for UTC+2),
+//                            null when an old record doesn't say
+//     mood:       string   - emoji key (happy, sad, angry, anxious, neutral, excited)
+//     value:      number   - mood rating 1-10
+//     attributes: { energy, sleep, stress, productivity, social } - numbers 1-10
+//     notes:      string
+//     backfilled: true     - optional, set when logged later for a past day/time
+//     trackers:   { [trackerId]: number|boolean } - optional, custom tracker answers
+//     tags:       string[] - optional, activity tags (see normalizeTag())
+//     notesFormat: 'markdown' - optional, notes written in journal mode
+//   }
+//
+// Older shapes are upgraded on load by ENTRY_MIGRATIONS, one version at a time:
+//   v0 - app.js saveEntry():            { date, overallMood, attributes, notes }
+//   v1 - script.js / index.html inline: { id, userId, date, time, timestamp?, mood, value,
+//                                         moodEmoji?, moodLabel?, userName?, attributes, notes }
+//   v2 - as above without utcOffset; "date" was the UTC date of live check-ins
+//
+// The v2 -> v3 step only uses what the record itself says (timestamp vs. date + time),
+// never this device's timezone, so upgrading or restoring elsewhere can't move a day.
+//
+// Days are bucketed from date + time (see getEntryDay()), never from the timestamp,
+// so moving to another timezone does not reshuffle history.
+//
+// Records that can't be upgraded, fail the final shape check (isValidEntry()) or carry
+// a schemaVersion newer than this code are never thrown away: they are quarantined as
+// stored and written back after the readable entries.
+const ENTRY_SCHEMA_VERSION = 3;
+const ATTRIBUTE_KEYS = ['energy', 'sleep', 'stress', 'productivity', 'social'];
+const MOOD_KEYS = ['happy', 'sad', 'angry', 'anxious', 'neutral', 'excited'];
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MIN_UTC_OFFSET = -12 * 60; // Real-world offsets run from UTC-12 to UTC+14
+const MAX_UTC_OFFSET = 14 * 60;
+const MINUTES_PER_DAY = 24 * 60;
 
-function initApp() {
-  // Priority 1: Initialize theme FIRST (critical - no flash)
-  initTheme();
-  
-  // Priority 2: Cache DOM elements
-  initDOMCache();
-  
-  // Priority 3: Setup theme listeners
-  setupThemeListeners();
-  
-  if (users.length === 0) {
-    showLoginScreen(true); // Show "Create Profile" mode
-  } else {
-    showLoginScreen(false); // Show "Select Profile" mode
-  }
-  
-  setupUserEventListeners();
-  
-  // Priority 4: Remove loading indicator
-  removeLoadingIndicator();
-  
-  // Priority 5: Setup non-critical features with requestIdleCallback
-  scheduleNonCriticalInit();
+let quarantinedEntries = {};        // { userId: [raw records] } - unreadable, kept untouched
+const quarantineNotified = new Set(); // Profiles already told about their quarantined records
+
+function clampRating(value, fallback) {
+  const number = parseInt(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(10, Math.max(1, number));
 }
 
-function removeLoadingIndicator() {
-    const loader = document.getElementById('appLoading');
-    if (loader) {
-        loader.style.opacity = '0';
-        loader.style.transition = 'opacity 0.3s ease';
-        setTimeout(() => {
-            loader.remove();
+/**
+ * Closest emoji key for a 1-10 rating (used when a record has no mood key)
+ */
+function getMoodKeyForValue(value) {
+  if (value >= 10) return 'excited';
+  if (value >= 7) return 'happy';
+  if (value >= 5) return 'neutral';
+  if (value >= 4) return 'anxious';
+  return 'sad';
+}
+
+function detectEntryVersion(entry) {
+  if (typeof entry.schemaVersion === 'number') return entry.schemaVersion;
+  if (entry.overallMood !== undefined && entry.value === undefined) return 0;
+  return 1;
+}
+
+const ENTRY_MIGRATIONS = {
+  // v0 -> v1: app.js entries have no id, owner, time or emoji key
+  0: (entry, userId) => {
+    const value = clampRating(entry.overallMood, null);
+    return {
+      id: `${userId}_legacy_${entry.date}`,
+      userId,
+      date: entry.date,
+      time: null,
+      mood: getMoodKeyForValue(value),
+      value,
+      attributes: entry.attributes,
+      notes: entry.notes
+    };
+  },
+  
+  // v1 -> v2: normalize types, fill in timestamp, drop derived fields
+  1: (entry, userId) => {
+    const value = clampRating(entry.value, null);
+    const time = typeof entry.time === 'string' && entry.time ? entry.time : null;
+    const attributes = {};
+    ATTRIBUTE_KEYS.forEach(key => {
+      attributes[key] = clampRating(entry.attributes && entry.attributes[key], 5);
+    });
+    
+    const migrated = {
+      schemaVersion: 2,
+      id: String(entry.id || `${userId}_legacy_${entry.date}`),
+      userId: entry.userId ? String(entry.userId) : userId,
+      date: entry.date,
+      time,
+      timestamp: entry.timestamp || new Date(`${entry.date}T${time || '00:00:00'}`).toISOString(),
+      mood: MOOD_KEYS.includes(entry.mood) ? entry.mood : getMoodKeyForValue(value),
+      value,
+      attributes,
+      notes: typeof entry.notes === 'string' ? entry.notes : ''
+    };
+    // A made-up timestamp says nothing about the offset; the next step keeps it unknown
+    if (!entry.timestamp) migrated.utcOffset = null;
+    return migrated;
+  },
+  
+  // v2 -> v3: record the offset the entry was logged at, as implied by its local
+  // date + time and its timestamp. Live v2 check-ins paired the UTC date with the
+  // local time, so around midnight the pair is a day out - more than any real offset.
+  // Then the date (not the clock time) is moved by that day.
+  2: entry => {
+    const migrated = { ...entry, schemaVersion: 3, utcOffset: null };
+    const instant = Date.parse(entry.timestamp);
+    const wallClock = entry.time ? Date.parse(`${entry.date}T${entry.time}Z`) : NaN;
+    if (entry.utcOffset === null || isNaN(instant) || isNaN(wallClock)) return migrated;
+    
+    let offset = Math.round((wallClock - instant) / 60000 / 15) * 15;
+    if (offset > MAX_UTC_OFFSET) {
+      migrated.date = shiftDateString(entry.date, -1);
+      offset -= MINUTES_PER_DAY;
+    } else if (offset < MIN_UTC_OFFSET) {
+      migrated.date = shiftDateString(entry.date, 1);
+      offset += MINUTES_PER_DAY;
+    }
+    
+    if (offset >= MIN_UTC_OFFSET && offset <= MAX_UTC_OFFSET) migrated.utcOffset = offset;
+    return migrated;
+  }
+};
+
+function isRating(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 10;
+}
+
+/**
+ * Whether a record has exactly the current schema's shape; anything else (including
+ * values that would end up in the page as markup) is quarantined by migrateEntry()
+ */
+function isValidEntry(entry) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  
+  return entry.schemaVersion === ENTRY_SCHEMA_VERSION &&
+    typeof entry.id === 'string' && entry.id !== '' &&
+    typeof entry.userId === 'string' &&
+    DATE_PATTERN.test(entry.date) &&
+    (entry.time === null || (typeof entry.time === 'string' && TIME_PATTERN.test(entry.time))) &&
+    typeof entry.timestamp === 'string' && !isNaN(Date.parse(entry.timestamp)) &&
+    (entry.utcOffset === null || (Number.isInteger(entry.utcOffset) &&
+      entry.utcOffset >= MIN_UTC_OFFSET && entry.utcOffset <= MAX_UTC_OFFSET)) &&
+    MOOD_KEYS.includes(entry.mood) &&
+    isRating(entry.value) &&
+    isObject(entry.attributes) && ATTRIBUTE_KEYS.every(key => isRating(entry.attributes[key])) &&
+    typeof entry.notes === 'string' &&
+    (entry.trackers === undefined || (isObject(entry.trackers) &&
+      Object.values(entry.trackers).every(value => typeof value === 'boolean' || Number.isFinite(value)))) &&
+    (entry.tags === undefined || (Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string')));
+}
+
+/**
+ * Upgrade a single record to the current schema.
+ * Returns null when the record cannot be recovered: no valid date or rating, a version
+ * newer than this code understands, or a result that fails isValidEntry().
+ */
+function migrateEntry(entry, userId) {
+  if (!entry || typeof entry !== 'object' || !DATE_PATTERN.test(entry.date)) return null;
+  
+  let version = detectEntryVersion(entry);
+  if (!Number.isInteger(version) || version > ENTRY_SCHEMA_VERSION) return null;
+  let migrated = entry;
+  
+  while (version < ENTRY_SCHEMA_VERSION) {
+    const migration = ENTRY_MIGRATIONS[version];
+    if (!migration) return null;
+    migrated = migration(migrated, userId);
+    version++;
+  }
+  
+  return isValidEntry(migrated) ? migrated : null;
+}
+
+/**
+ * Upgrade a list of records. Unrecoverable ones are returned untouched in
+ * "quarantined" so the caller can keep them instead of losing them.
+ */
+function migrateEntries(entries, userId) {
+  const migrated = [];
+  const quarantined = [];
+  let changed = false;
+  
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    const result = migrateEntry(entry, userId);
+    if (!result) {
+      console.warn('⚠️ Quarantining unreadable entry:', entry);
+      quarantined.push(entry);
+      return;
+    }
+    if (result !== entry) changed = true;
+    migrated.push(result);
+  });
+  
+  migrated.sort((a, b) => new Date(b.date) - new Date(a.date));
+  return { entries: migrated, quarantined, changed };
+}
+
+/**
+ * Tell the user (once per session) that some of a profile's records could not be read
+ */
+function reportQuarantinedEntries(user) {
+  const count = (quarantinedEntries[user.id] || []).length;
+  if (count === 0 || quarantineNotified.has(user.id)) return;
+  
+  quarantineNotified.add(user.id);
+  alert(`${count} saved ${count === 1 ? 'check-in' : 'check-ins'} for ${user.name} could not be read. ` +
+    'They are not shown, but are kept unchanged in storage and in backups.');
+}
+
+/**
+ * Build a new entry in the current schema
+ */
+function createEntry({ userId, date, time, timestamp, utcOffset, mood, value, attributes, trackers, tags, notes, notesFormat, id, backfilled }) {
+  const entry = {
+    schemaVersion: ENTRY_SCHEMA_VERSION,
+    id: id || `${userId}_${Date.now()}`,
+    userId,
+    date,
+    time: time || null,
+    timestamp,
+    // null = unknown (kept as is when an old entry is edited)
+    utcOffset: typeof utcOffset === 'number' || utcOffset === null ? utcOffset : getUtcOffset(new Date(timestamp)),
+    mood,
+    value,
+    attributes: { ...attributes },
+    notes: notes || ''
+  };
+  if (backfilled) entry.backfilled = true;
+  if (trackers && Object.keys(trackers).length > 0) entry.trackers = { ...trackers };
+  const cleanTags = normalizeTags(tags);
+  if (cleanTags.length > 0) entry.tags = cleanTags;
+  if (notesFormat === 'markdown' && entry.notes) entry.notesFormat = 'markdown';
+  return entry;
+}
+
+// ============================================
+// PERSISTENCE (IndexedDB + localStorage fallback)
+// ============================================
+// Stores:
+//   users   - one record per profile, keyed by id
+//   entries - one { userId, entries } record per profile
+//   meta    - app-wide settings such as the theme, keyed by key
+// When IndexedDB is unavailable (private mode, old browsers) the same
+// records are kept in localStorage under "moodTracker:<store>:<key>".
+const DB_NAME = 'simpleMoodTracker';
+const DB_VERSION = 1;
+const DB_STORES = { users: 'id', entries: 'userId', meta: 'key' };
+const LOCAL_STORAGE_PREFIX = 'moodTracker';
+
+let db = null;
+let storageBackend = 'memory'; // 'indexeddb' | 'localStorage' | 'memory'
+
+/**
+ * Open (and create/upgrade if needed) the IndexedDB database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not supported'));
+      return;
+    }
+    
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      Object.entries(DB_STORES).forEach(([name, keyPath]) => {
+        if (!database.objectStoreNames.contains(name)) {
+          database.createObjectStore(name, { keyPath });
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+function isLocalStorageAvailable() {
+  try {
+    const probeKey = `${LOCAL_STORAGE_PREFIX}:probe`;
+    localStorage.setItem(probeKey, '1');
+    localStorage.removeItem(probeKey);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the best available backend: IndexedDB, then localStorage, then memory only
+ */
+async function initStorage() {
+  try {
+    db = await openDatabase();
+    storageBackend = 'indexeddb';
+  } catch (error) {
+    console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', error);
+    storageBackend = isLocalStorageAvailable() ? 'localStorage' : 'memory';
+  }
+  
+  if (storageBackend === 'memory') {
+    console.warn('⚠️ No persistent storage available - data will be lost on reload');
+  }
+  console.log(`💾 Storage backend: ${storageBackend}`);
+}
+
+/**
+ * Run a single request in its own transaction, resolving once it commits
+ */
+function idbRequest(storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function getLocalStorageKey(storeName, key) {
+  return `${LOCAL_STORAGE_PREFIX}:${storeName}:${key}`;
+}
+
+function storageGetAll(storeName) {
+  if (storageBackend === 'indexeddb') {
+    return idbRequest(storeName, 'readonly', store => store.getAll());
+  }
+  
+  if (storageBackend === 'localStorage') {
+    const prefix = getLocalStorageKey(storeName, '');
+    const records = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith(prefix)) continue;
+      try {
+        records.push(JSON.parse(localStorage.getItem(key)));
+      } catch (error) {
+        console.error(`❌ Skipping unreadable record ${key}:`, error);
+      }
+    }
+    return Promise.resolve(records);
+  }
+  
+  return Promise.resolve([]);
+}
+
+function storagePut(storeName, record) {
+  if (storageBackend === 'indexeddb') {
+    return idbRequest(storeName, 'readwrite', store => store.put(record));
+  }
+  
+  if (storageBackend === 'localStorage') {
+    try {
+      const key = record[DB_STORES[storeName]];
+      localStorage.setItem(getLocalStorageKey(storeName, key), JSON.stringify(record));
+      return Promise.resolve();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+  
+  return Promise.resolve();
+}
+
+function storageDelete(storeName, key) {
+  if (storageBackend === 'indexeddb') {
+    return idbRequest(storeName, 'readwrite', store => store.delete(key));
+  }
+  
+  if (storageBackend === 'localStorage') {
+    localStorage.removeItem(getLocalStorageKey(storeName, key));
+  }
+  
+  return Promise.resolve();
+}
+
+function reportStorageError(error) {
+  console.error('❌ Failed to save data:', error);
+  if (error && error.name === 'QuotaExceededError') {
+    alert('Your data could not be saved because browser storage is full.');
+  }
+}
+
+/**
+ * Load every profile, its entries and app settings into memory
+ */
+async function loadPersistedData() {
+  await initStorage();
+  
+  try {
+    const [storedUsers, storedEntries, storedMeta] = await Promise.all([
+      storageGetAll('users'),
+      storageGetAll('entries'),
+      storageGetAll('meta')
+    ]);
+    
+    users = storedUsers
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+      .slice(0, MAX_USERS);
+    
+    allUserData = {};
+    quarantinedEntries = {};
+    encryptedBlobs = {};
+    profileKeys = {};
+    users.forEach(user => {
+      const record = storedEntries.find(r => r.userId === user.id);
+      
+      // Encrypted profiles stay locked until selectUser() gets the passphrase
+      if (isEncryptedProfile(user)) {
+        if (record && record.encrypted) encryptedBlobs[user.id] = record.encrypted;
+        return;
+      }
+      
+      const { entries, quarantined, changed } = migrateEntries(record ? record.entries : [], user.id);
+      allUserData[user.id] = entries;
+      quarantinedEntries[user.id] = quarantined;
+      
+      // Write upgraded records back so migrations only run once
+      if (changed) persistEntries(user.id);
+    });
+    
+    const themeRecord = storedMeta.find(r => r.key === 'theme');
+    if (themeRecord) {
+      applyTheme(themeRecord.value);
+      updateThemeButtons();
+    }
+    
+    const autoLockRecord = storedMeta.find(r => r.key === 'autoLockMinutes');
+    if (autoLockRecord) {
+      setAutoLockMinutes(autoLockRecord.value);
+    }
+    
+    console.log(`📂 Loaded ${users.length} profile(s) from ${storageBackend}`);
+  } catch (error) {
+    console.error('❌ Failed to load saved data:', error);
+  }
+}
+
+function persistUser(user) {
+  return storagePut('users', user).catch(reportStorageError);
+}
+
+let persistQueues = {}; // { userId: Promise } - keeps async (encrypted) writes in order
+
+function persistEntries(userId) {
+  const user = users.find(u => u.id === userId);
+  // Unreadable records go back in after the readable ones, exactly as they were loaded
+  const entries = (allUserData[userId] || []).concat(quarantinedEntries[userId] || []);
+  
+  if (!isEncryptedProfile(user)) {
+    return storagePut('entries', { userId, entries }).catch(reportStorageError);
+  }
+  
+  // Capture the key now - the profile may be locked before the write runs
+  const key = profileKeys[userId];
+  if (!key) {
+    console.error('❌ Cannot save a locked profile:', userId);
+    return Promise.resolve();
+  }
+  
+  const previous = persistQueues[userId] || Promise.resolve();
+  persistQueues[userId] = previous
+    .then(() => encryptEntries(key, userId, entries))
+    .then(encrypted => {
+      encryptedBlobs[userId] = encrypted;
+      return storagePut('entries', { userId, encrypted });
+    })
+    .catch(reportStorageError);
+  return persistQueues[userId];
+}
+
+function persistMeta(key, value) {
+  return storagePut('meta', { key, value }).catch(reportStorageError);
+}
+
+function removePersistedUser(userId) {
+  return Promise.all([
+    storageDelete('users', userId),
+    storageDelete('entries', userId)
+  ]).catch(reportStorageError);
+}
+
+// ============================================
+// PROFILE ENCRYPTION (WebCrypto)
+// ============================================
+// A profile created with a passphrase keeps its entries encrypted at rest:
+//   user.encryption = { salt, iterations, verifier } (stored with the profile)
+//   entries record  = { userId, encrypted: { iv, data } }
+// The verifier ({ iv, data }) is a known value encrypted with the same key, so a
+// passphrase can be checked even before the profile has any saved entries.
+// The AES-GCM key is derived from the passphrase with PBKDF2-SHA256 and only
+// ever lives in memory (profileKeys) while the profile is selected. The user id
+// is bound as additional data, so ciphertext can't be swapped between profiles.
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_VERIFIER_VALUE = 'simple-mood-tracker-key-check';
+
+let profileKeys = {};    // { userId: CryptoKey } - unlocked profiles only
+let encryptedBlobs = {}; // { userId: { iv, data } } - latest ciphertext per encrypted profile
+
+function isEncryptedProfile(user) {
+  return Boolean(user && user.encryption);
+}
+
+function isProfileLocked(user) {
+  return isEncryptedProfile(user) && !profileKeys[user.id];
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveProfileKey(passphrase, encryption) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(encryption.salt), iterations: encryption.iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function createEncryptionParams() {
+  return {
+    salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+    iterations: PBKDF2_ITERATIONS
+  };
+}
+
+async function encryptJson(key, userId, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(userId) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Throws if the key is wrong or the data was altered
+ */
+async function decryptJson(key, userId, blob) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(blob.iv), additionalData: new TextEncoder().encode(userId) },
+    key,
+    base64ToBytes(blob.data)
+  );
+  
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function encryptEntries(key, userId, entries) {
+  return encryptJson(key, userId, entries);
+}
+
+async function decryptEntries(key, userId, blob) {
+  const entries = await decryptJson(key, userId, blob);
+  if (!Array.isArray(entries)) throw new Error('Decrypted data is not a list of entries');
+  return entries;
+}
+
+function createKeyVerifier(key, userId) {
+  return encryptJson(key, userId, KEY_VERIFIER_VALUE);
+}
+
+/**
+ * Throws unless the key decrypts the profile's verifier
+ */
+async function checkKeyVerifier(key, userId, verifier) {
+  if (await decryptJson(key, userId, verifier) !== KEY_VERIFIER_VALUE) {
+    throw new Error('Passphrase check failed');
+  }
+}
+
+/**
+ * Derive the key from a passphrase and decrypt the profile's entries into memory
+ */
+async function unlockProfile(user, passphrase) {
+  const key = await deriveProfileKey(passphrase, user.encryption);
+  const blob = encryptedBlobs[user.id];
+  
+  // A missing blob is only an empty profile if the verifier proves the passphrase.
+  // Profiles from before verifiers can only be checked against their entries.
+  if (user.encryption.verifier) {
+    await checkKeyVerifier(key, user.id, user.encryption.verifier);
+  } else if (!blob) {
+    const error = new Error('This profile has no saved data to check the passphrase against.');
+    error.name = 'UnverifiableProfileError';
+    throw error;
+  }
+  const storedEntries = blob ? await decryptEntries(key, user.id, blob) : [];
+  
+  profileKeys[user.id] = key;
+  if (!user.encryption.verifier) {
+    user.encryption = { ...user.encryption, verifier: await createKeyVerifier(key, user.id) };
+    persistUser(user);
+  }
+  const { entries, quarantined, changed } = migrateEntries(storedEntries, user.id);
+  allUserData[user.id] = entries;
+  quarantinedEntries[user.id] = quarantined;
+  if (changed || !blob) persistEntries(user.id);
+}
+
+/**
+ * Drop an encrypted profile's key and plaintext entries from memory
+ */
+function lockProfile(userId) {
+  const user = users.find(u => u.id === userId);
+  if (!isEncryptedProfile(user)) return;
+  
+  delete profileKeys[userId];
+  delete allUserData[userId];
+  delete quarantinedEntries[userId];
+  console.log(`🔒 Locked profile: ${user.name}`);
+}
+
+/**
+ * Optional passphrase fields for the create-profile form
+ */
+function mountPassphraseInputs() {
+  mountElement('#passphraseInput', '#usernameInput', 'afterend', `
+    <div class="form-group profile-secret-fields">
+      <input type="password" id="passphraseInput" class="form-input" placeholder="Passphrase (optional)" autocomplete="new-password">
+      <input type="password" id="passphraseConfirmInput" class="form-input" placeholder="Repeat passphrase" autocomplete="new-password">
+      <span class="form-hint">Encrypts this profile's entries on this device. A forgotten passphrase can't be recovered.</span>
+    </div>
+  `);
+}
+
+function showUnlockPrompt(user) {
+  const overlay = openModal(`Unlock ${user.name}`, `
+    <p class="form-hint">This profile is encrypted. Enter its passphrase to open it.</p>
+    <div class="form-group">
+      <input type="password" id="unlockPassphraseInput" class="form-input" placeholder="Passphrase" autocomplete="current-password">
+    </div>
+    <p class="form-hint unlock-error" id="unlockError" hidden></p>
+    <button class="primary-button" id="unlockProfileBtn">Unlock</button>
+  `);
+  
+  const input = overlay.querySelector('#unlockPassphraseInput');
+  const button = overlay.querySelector('#unlockProfileBtn');
+  const errorText = overlay.querySelector('#unlockError');
+  
+  const attemptUnlock = async () => {
+    if (!input.value) return;
+    
+    button.disabled = true;
+    button.textContent = 'Unlocking...';
+    errorText.hidden = true;
+    
+    try {
+      await unlockProfile(user, input.value);
+      closeModal();
+      selectUser(user.id);
+    } catch (error) {
+      console.warn('⚠️ Unlock failed:', error);
+      errorText.textContent = error.name === 'UnverifiableProfileError'
+        ? `${error.message} Restore it from a backup that includes its entries.`
+        : 'Wrong passphrase, or the saved data has been altered.';
+      errorText.hidden = false;
+      input.value = '';
+      input.focus();
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Unlock';
+    }
+  };
+  
+  button.addEventListener('click', attemptUnlock);
+  input.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') attemptUnlock();
+  });
+  input.focus();
+}
+
+// ============================================
+// PIN LOCK & AUTO-LOCK
+// ============================================
+// An optional 4-6 digit PIN gates selectUser() and deleteUser() for a profile.
+// It is access control for a shared device, not encryption - use a passphrase
+// for that. Only a salted PBKDF2 hash is stored (user.pin), and failed attempts
+// are counted on the profile (user.pinLockout) so a reload doesn't reset them.
+const PIN_PATTERN = /^\d{4,6}$/;
+const PIN_ITERATIONS = 100000;
+const PIN_FREE_ATTEMPTS = 3;
+const PIN_BASE_LOCKOUT_MS = 30 * 1000;
+const PIN_MAX_LOCKOUT_MS = 15 * 60 * 1000;
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60]; // Minutes; 0 = never
+
+let pinVerifiedUserId = null;
+let autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES;
+let autoLockTimer = null;
+
+async function hashPin(pin, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    256
+  );
+  return bytesToBase64(new Uint8Array(bits));
+}
+
+async function createPinRecord(pin) {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, iterations: PIN_ITERATIONS, hash: await hashPin(pin, salt, PIN_ITERATIONS) };
+}
+
+async function checkPin(user, pin) {
+  if (!PIN_PATTERN.test(pin)) return false;
+  const hash = await hashPin(pin, user.pin.salt, user.pin.iterations);
+  
+  // Compare every character so timing doesn't reveal how much matched
+  let difference = hash.length ^ user.pin.hash.length;
+  for (let i = 0; i < hash.length; i++) {
+    difference |= hash.charCodeAt(i) ^ (user.pin.hash.charCodeAt(i) || 0);
+  }
+  return difference === 0;
+}
+
+/**
+ * Milliseconds until this profile accepts another PIN attempt (0 = now)
+ */
+function getPinLockoutRemaining(user) {
+  const lockout = user.pinLockout;
+  if (!lockout || !lockout.lockedUntil) return 0;
+  return Math.max(0, lockout.lockedUntil - Date.now());
+}
+
+function recordPinFailure(user) {
+  const failures = ((user.pinLockout && user.pinLockout.failures) || 0) + 1;
+  let lockedUntil = 0;
+  
+  // First few mistakes are free, then the wait doubles each time
+  if (failures >= PIN_FREE_ATTEMPTS) {
+    const delay = PIN_BASE_LOCKOUT_MS * Math.pow(2, failures - PIN_FREE_ATTEMPTS);
+    lockedUntil = Date.now() + Math.min(delay, PIN_MAX_LOCKOUT_MS);
+  }
+  
+  user.pinLockout = { failures, lockedUntil };
+  persistUser(user);
+}
+
+function recordPinSuccess(user) {
+  if (user.pinLockout) {
+    delete user.pinLockout;
+    persistUser(user);
+  }
+}
+
+/**
+ * Run onSuccess right away for profiles without a PIN, otherwise after the PIN is entered
+ */
+function requirePin(user, title, onSuccess) {
+  if (!user.pin) {
+    onSuccess();
+    return;
+  }
+  
+  const overlay = openModal(title, `
+    <p class="form-hint">Enter the PIN for ${escapeHTML(user.name)}.</p>
+    <div class="form-group">
+      <input type="password" id="pinPromptInput" class="form-input pin-input" inputmode="numeric" maxlength="6" autocomplete="off" placeholder="••••">
+    </div>
+    <p class="form-hint unlock-error" id="pinPromptError" hidden></p>
+    <button class="primary-button" id="pinPromptBtn">Continue</button>
+  `);
+  
+  const input = overlay.querySelector('#pinPromptInput');
+  const button = overlay.querySelector('#pinPromptBtn');
+  const errorText = overlay.querySelector('#pinPromptError');
+  
+  const showLockout = () => {
+    const remaining = getPinLockoutRemaining(user);
+    if (remaining === 0) return false;
+    
+    const seconds = Math.ceil(remaining / 1000);
+    errorText.textContent = `Too many wrong attempts. Try again in ${seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`}.`;
+    errorText.hidden = false;
+    input.disabled = true;
+    button.disabled = true;
+    
+    setTimeout(() => {
+      input.disabled = false;
+      button.disabled = false;
+      errorText.hidden = true;
+      input.focus();
+    }, remaining);
+    return true;
+  };
+  
+  const attempt = async () => {
+    if (showLockout() || !input.value) return;
+    
+    button.disabled = true;
+    const valid = await checkPin(user, input.value);
+    button.disabled = false;
+    input.value = '';
+    
+    if (valid) {
+      recordPinSuccess(user);
+      closeModal();
+      onSuccess();
+      return;
+    }
+    
+    recordPinFailure(user);
+    if (!showLockout()) {
+      errorText.textContent = 'Wrong PIN.';
+      errorText.hidden = false;
+      input.focus();
+    }
+  };
+  
+  button.addEventListener('click', attempt);
+  input.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') attempt();
+  });
+  
+  if (!showLockout()) input.focus();
+}
+
+/**
+ * Set, change or remove the current profile's PIN (asks for the old one first)
+ */
+function showPinSettings() {
+  if (!currentUser) return;
+  const user = currentUser;
+  
+  requirePin(user, 'Current PIN', () => {
+    const overlay = openModal('Profile PIN', `
+      <p class="form-hint">Use 4-6 digits. Leave empty to remove the PIN.</p>
+      <div class="form-group">
+        <input type="password" id="newPinInput" class="form-input pin-input" inputmode="numeric" maxlength="6" autocomplete="off" placeholder="New PIN">
+      </div>
+      <div class="form-group">
+        <input type="password" id="confirmPinInput" class="form-input pin-input" inputmode="numeric" maxlength="6" autocomplete="off" placeholder="Repeat PIN">
+      </div>
+      <button class="primary-button" id="savePinBtn">Save</button>
+    `);
+    
+    overlay.querySelector('#savePinBtn').addEventListener('click', async () => {
+      const pin = overlay.querySelector('#newPinInput').value;
+      const confirmation = overlay.querySelector('#confirmPinInput').value;
+      
+      if (pin && !PIN_PATTERN.test(pin)) {
+        alert('PIN must be 4-6 digits');
+        return;
+      }
+      if (pin !== confirmation) {
+        alert('PINs do not match');
+        return;
+      }
+      
+      if (pin) {
+        user.pin = await createPinRecord(pin);
+      } else {
+        delete user.pin;
+      }
+      delete user.pinLockout;
+      persistUser(user);
+      closeModal();
+      console.log(`🔢 PIN ${pin ? 'updated' : 'removed'} for ${user.name}`);
+    });
+  });
+}
+
+/**
+ * Restart the idle countdown; when it runs out the app returns to the login screen
+ */
+function resetAutoLockTimer() {
+  clearTimeout(autoLockTimer);
+  if (!currentUser || autoLockMinutes <= 0) return;
+  
+  autoLockTimer = setTimeout(() => {
+    if (!currentUser) return;
+    console.log(`⏱️ Auto-locking after ${autoLockMinutes} idle minute(s)`);
+    closeModal();
+    switchUser();
+  }, autoLockMinutes * 60 * 1000);
+}
+
+function setAutoLockMinutes(minutes) {
+  autoLockMinutes = Math.max(0, parseInt(minutes) || 0);
+  document.querySelectorAll('.auto-lock-select').forEach(select => {
+    select.value = String(autoLockMinutes);
+  });
+  resetAutoLockTimer();
+}
+
+/**
+ * Optional PIN field for the create-profile form
+ */
+function mountPinInput() {
+  mountElement('#pinInput', '#usernameInput', 'afterend', `
+    <div class="form-group profile-secret-fields">
+      <input type="password" id="pinInput" class="form-input pin-input" inputmode="numeric" maxlength="6" autocomplete="off" placeholder="PIN (optional)">
+      <span class="form-hint">4-6 digits, asked for when opening or deleting this profile.</span>
+    </div>
+  `);
+}
+
+function setupAutoLockListeners() {
+  mountSettingsGroup('lock', '🔒 Lock', `
+    <div class="form-group">
+      <label class="form-label" for="autoLockSelect">Lock after inactivity</label>
+      <select id="autoLockSelect" class="form-input auto-lock-select">
+        ${AUTO_LOCK_OPTIONS.map(minutes => `<option value="${minutes}">${minutes === 0 ? 'Never' : `${minutes} min`}</option>`).join('')}
+      </select>
+    </div>
+    <div class="settings-actions">
+      <button class="secondary-button profile-pin-btn">Set or change PIN</button>
+    </div>
+  `);
+  
+  const onActivity = throttle(resetAutoLockTimer, 1000);
+  ['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(eventName => {
+    document.addEventListener(eventName, onActivity, { passive: true });
+  });
+  
+  document.querySelectorAll('.auto-lock-select').forEach(select => {
+    select.value = String(autoLockMinutes);
+    select.addEventListener('change', () => {
+      setAutoLockMinutes(select.value);
+      persistMeta('autoLockMinutes', autoLockMinutes);
+    });
+  });
+  
+  document.querySelectorAll('.profile-pin-btn').forEach(btn => {
+    btn.addEventListener('click', showPinSettings);
+  });
+}
+
+// ============================================
+// MODAL DIALOG
+// ============================================
+// Dialogs are built on demand and appended to <body>, so features that need
+// one (backup restore, CSV import, ...) don't depend on extra markup.
+
+/**
+ * Open a modal with the given title and body markup. Returns the overlay element.
+ */
+function openModal(title, bodyHTML) {
+  closeModal();
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.id = 'modalOverlay';
+  overlay.innerHTML = `
+    <div class="modal-card" role="dialog" aria-modal="true" aria-labelledby="modalTitle">
+      <div class="modal-header">
+        <h2 class="section-title" id="modalTitle">${escapeHTML(title)}</h2>
+        <button class="modal-close" aria-label="Close">✕</button>
+      </div>
+      <div class="modal-body">${bodyHTML}</div>
+    </div>
+  `;
+  
+  overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+  
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+function closeModal() {
+  const overlay = document.getElementById('modalOverlay');
+  if (overlay) overlay.remove();
+}
+
+// ============================================
+// PAGE MOUNTS
+// ============================================
+// Feature controls and panels are injected next to markup the page always has
+// (.tab-nav, .tab-content, .login-container, ...), the same way modals are built
+// on demand. A page that already provides an element keeps its own copy.
+// Profile-wide controls live in a Settings tab, one .settings-group per feature.
+
+/**
+ * Insert markup at an anchor unless the page already has an element matching
+ * selector. Returns that element (null when the anchor is missing too).
+ */
+function mountElement(selector, anchorSelector, position, html) {
+  const existing = document.querySelector(selector);
+  if (existing) return existing;
+  
+  const anchor = document.querySelector(anchorSelector);
+  if (!anchor) return null;
+  anchor.insertAdjacentHTML(position, html);
+  return document.querySelector(selector);
+}
+
+/**
+ * Add a tab button and its (empty) content card. Settings always stays the last tab.
+ */
+function mountTab(name, icon, label) {
+  const tabNav = document.querySelector('.tab-nav');
+  const panels = document.querySelectorAll('.tab-content');
+  if (!tabNav || panels.length === 0) return null;
+  
+  if (!tabNav.querySelector(`.tab-button[data-tab="${name}"]`)) {
+    const settingsButton = tabNav.querySelector('.tab-button[data-tab="settings"]');
+    const buttonHTML = `
+      <button class="tab-button" data-tab="${name}" role="tab" aria-selected="false">
+        <span class="tab-icon">${icon}</span>
+        <span class="tab-text">${label}</span>
+      </button>
+    `;
+    if (settingsButton && name !== 'settings') {
+      settingsButton.insertAdjacentHTML('beforebegin', buttonHTML);
+    } else {
+      tabNav.insertAdjacentHTML('beforeend', buttonHTML);
+    }
+  }
+  
+  let panel = document.getElementById(`${name}-tab`);
+  if (!panel) {
+    const settingsPanel = document.getElementById('settings-tab');
+    const anchor = settingsPanel && name !== 'settings' ? settingsPanel : panels[panels.length - 1];
+    anchor.insertAdjacentHTML(anchor === settingsPanel ? 'beforebegin' : 'afterend', `
+      <div class="tab-content" id="${name}-tab" role="tabpanel">
+        <div class="content-card">
+          <h2 class="section-title">${label}</h2>
+        </div>
+      </div>
+    `);
+    panel = document.getElementById(`${name}-tab`);
+  }
+  return panel.querySelector('.content-card') || panel;
+}
+
+/**
+ * Add a titled group of controls to the Settings tab. Returns the group element.
+ */
+function mountSettingsGroup(name, title, html) {
+  const card = mountTab('settings', '⚙️', 'Settings');
+  if (!card) return null;
+  
+  return mountElement(`.settings-group[data-group="${name}"]`, '#settings-tab .content-card', 'beforeend', `
+    <section class="settings-group" data-group="${name}">
+      <h3 class="subsection-title">${title}</h3>
+      ${html}
+    </section>
+  `);
+}
+
+// ============================================
+// BACKUP & RESTORE (JSON)
+// ============================================
+// A backup holds every profile. Encrypted profiles are written as ciphertext only, so
+// they go in whether or not they are unlocked. Other PIN-protected profiles are left
+// out (the export names them first) unless they are the open one, so nobody can export
+// a profile they haven't unlocked. Restoring over an existing profile that has a PIN
+// asks for that PIN first (see confirmRestorePins()).
+// Backup file format:
+//   {
+//     format: 'simple-mood-tracker-backup',
+//     version: 2,
+//     exportedAt: ISO string,
+//     users: [ user, ... ],
+//     data: { userId: [entries], ... }            - unencrypted profiles
+//     encrypted: { userId: { iv, data }, ... }     - passphrase profiles (ciphertext only)
+//   }
+const BACKUP_FORMAT = 'simple-mood-tracker-backup';
+const BACKUP_VERSION = 2;
+
+async function exportBackup() {
+  // Exporting starts from an open profile (past its PIN and passphrase)
+  if (!currentUser || isProfileLocked(currentUser)) {
+    alert('Please login first');
+    return;
+  }
+  
+  const isOpen = user => user.id === currentUser.id && (!user.pin || pinVerifiedUserId === user.id);
+  const leftOut = users.filter(user => user.pin && !isOpen(user));
+  if (leftOut.length > 0 && !confirm(
+    `These profiles have a PIN and will not be in the backup: ${leftOut.map(u => u.name).join(', ')}. ` +
+    'Open each of them to back it up. Export the other profiles?'
+  )) {
+    return;
+  }
+  const included = users.filter(user => !leftOut.includes(user));
+  
+  // Make sure the active profile's latest entries are included
+  allUserData[currentUser.id] = moodEntries;
+  
+  // Wait for pending encrypted writes so encryptedBlobs is current
+  await Promise.all(Object.values(persistQueues));
+  
+  // Encrypted profiles are exported as ciphertext only - never as plaintext
+  const data = {};
+  const encrypted = {};
+  included.forEach(user => {
+    if (isEncryptedProfile(user)) {
+      if (encryptedBlobs[user.id]) encrypted[user.id] = encryptedBlobs[user.id];
+    } else {
+      data[user.id] = (allUserData[user.id] || []).concat(quarantinedEntries[user.id] || []);
+    }
+  });
+  
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    users: included,
+    data,
+    encrypted
+  };
+  
+  const filename = `mood-tracker-backup-${getTodayDateString()}.json`;
+  downloadFile(filename, JSON.stringify(backup, null, 2), 'application/json');
+  console.log(`📦 Exported backup of ${included.length} profile(s)`);
+}
+
+function isValidEncryptedBlob(blob) {
+  return Boolean(blob) && typeof blob.iv === 'string' && typeof blob.data === 'string';
+}
+
+/**
+ * Profile name from an imported file as plain text ('' if there is nothing usable)
+ */
+function cleanProfileName(name) {
+  if (typeof name !== 'string') return '';
+  return name.replace(/[\u0000-\u001f<>]/g, '').trim().slice(0, 20);
+}
+
+// Everything a backup says about a profile is checked field by field before it is kept:
+// ids and settings end up in HTML attributes, and key derivation parameters decide how
+// long unlocking takes.
+const RESTORED_USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const MAX_RESTORED_ITERATIONS = 2000000; // Above this a crafted file could freeze the tab
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Own keys only, so 'constructor' or 'toString' never count as a choice
+function hasOption(options, key) {
+  return typeof key === 'string' && Object.prototype.hasOwnProperty.call(options, key);
+}
+
+/**
+ * A new id following the creation rule (prefix + Date.now() in base 36) that isn't in taken
+ */
+function createRestoredId(prefix, taken) {
+  let time = Date.now();
+  while (taken.has(`${prefix}_${time.toString(36)}`)) time++;
+  return `${prefix}_${time.toString(36)}`;
+}
+
+/**
+ * PBKDF2 parameters ({ salt, iterations }) from a backup, or null when they are malformed or
+ * ask for fewer rounds than this app uses or more than it is willing to run
+ */
+function cleanKeyParams(params, minIterations) {
+  if (!isPlainObject(params) || typeof params.salt !== 'string' || !BASE64_PATTERN.test(params.salt) ||
+      !Number.isInteger(params.iterations) ||
+      params.iterations < minIterations || params.iterations > MAX_RESTORED_ITERATIONS) {
+    return null;
+  }
+  return { salt: params.salt, iterations: params.iterations };
+}
+
+/**
+ * Trackers from a backup, rebuilt with the "add tracker" rules. Ids that don't look like
+ * ours (or repeat) get a fresh one; renamedIds maps old id -> new id for the entries.
+ */
+function cleanRestoredTrackers(trackers) {
+  const restored = [];
+  const renamedIds = {};
+  const takenIds = new Set();
+  
+  (Array.isArray(trackers) ? trackers : []).filter(isPlainObject).forEach(raw => {
+    if (restored.length >= MAX_CUSTOM_TRACKERS || !hasOption(TRACKER_TYPES, raw.type)) return;
+    
+    const { tracker } = buildCustomTracker({
+      name: typeof raw.name === 'string' ? raw.name : '',
+      icon: typeof raw.icon === 'string' ? raw.icon : '',
+      type: raw.type,
+      min: raw.min,
+      max: raw.max,
+      // Trackers made before polarity existed count as neutral
+      polarity: raw.polarity === undefined ? 'neutral' : raw.polarity
+    }, restored);
+    if (!tracker || !hasOption(POLARITIES, tracker.polarity)) return;
+    
+    const keepsId = typeof raw.id === 'string' && TRACKER_ID_PATTERN.test(raw.id) && !takenIds.has(raw.id);
+    tracker.id = keepsId ? raw.id : createRestoredId('tracker', takenIds);
+    if (!keepsId && typeof raw.id === 'string') renamedIds[raw.id] = tracker.id;
+    takenIds.add(tracker.id);
+    restored.push(tracker);
+  });
+  
+  return { trackers: restored, renamedIds };
+}
+
+/**
+ * Saved views from a backup: names and criteria checked like the view dialog does,
+ * unknown sorts and malformed thresholds dropped, ids re-derived when needed
+ */
+function cleanRestoredViews(views) {
+  const restored = [];
+  const takenIds = new Set();
+  
+  (Array.isArray(views) ? views : []).filter(isPlainObject).forEach(raw => {
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    const source = isPlainObject(raw.criteria) ? raw.criteria : null;
+    if (restored.length >= MAX_SAVED_VIEWS || !name || name.length > 24 || !source ||
+        restored.some(view => view.name.toLowerCase() === name.toLowerCase())) {
+      return;
+    }
+    
+    const criteria = createViewCriteria();
+    criteria.lastDays = source.lastDays ?? null;
+    criteria.since = DATE_PATTERN.test(source.since) ? source.since : null;
+    criteria.until = DATE_PATTERN.test(source.until) ? source.until : null;
+    criteria.moodMin = source.moodMin ?? 1;
+    criteria.moodMax = source.moodMax ?? 10;
+    criteria.sort = hasOption(HISTORY_SORTS, source.sort) ? source.sort : 'newest';
+    criteria.thresholds = (Array.isArray(source.thresholds) ? source.thresholds : [])
+      .filter(t => isPlainObject(t) && typeof t.field === 'string' && t.field !== '' &&
+        normalizeTag(t.field) === t.field && hasOption(SEARCH_OPERATORS, t.op) && Number.isFinite(t.value))
+      .map(({ field, op, value }) => ({ field, op, value }));
+    if (checkViewCriteria(criteria)) return;
+    
+    const keepsId = typeof raw.id === 'string' && VIEW_ID_PATTERN.test(raw.id) && !takenIds.has(raw.id);
+    const id = keepsId ? raw.id : createRestoredId('view', takenIds);
+    takenIds.add(id);
+    restored.push({ id, name, criteria });
+  });
+  
+  return restored;
+}
+
+/**
+ * Profile settings from a backup. Only known keys with allowed values are kept; anything
+ * else falls back to the default by being left out.
+ */
+function cleanRestoredSettings(settings) {
+  const source = isPlainObject(settings) ? settings : {};
+  const { trackers, renamedIds } = cleanRestoredTrackers(source.trackers);
+  const restored = {};
+  
+  if (hasOption(DAILY_AGGREGATES, source.dailyAggregate)) restored.dailyAggregate = source.dailyAggregate;
+  if (DAY_ROLLOVER_HOURS.includes(source.dayEndsAt)) restored.dayEndsAt = source.dayEndsAt;
+  if (hasOption(GRAPH_GAP_MODES, source.graphGaps)) restored.graphGaps = source.graphGaps;
+  if (typeof source.journalMode === 'boolean') restored.journalMode = source.journalMode;
+  
+  if (isPlainObject(source.attributePolarity)) {
+    restored.attributePolarity = {};
+    ATTRIBUTE_KEYS.forEach(key => {
+      if (hasOption(POLARITIES, source.attributePolarity[key])) {
+        restored.attributePolarity[key] = source.attributePolarity[key];
+      }
+    });
+  }
+  
+  if (isPlainObject(source.wellbeingWeights)) {
+    const weightKeys = ['mood', ...ATTRIBUTE_KEYS];
+    restored.wellbeingWeights = {};
+    Object.entries(source.wellbeingWeights).forEach(([key, weight]) => {
+      const restoredKey = renamedIds[key] || key;
+      const known = weightKeys.includes(restoredKey) || trackers.some(t => t.id === restoredKey);
+      if (known && Number.isInteger(weight) && weight >= 0 && weight <= MAX_WELLBEING_WEIGHT) {
+        restored.wellbeingWeights[restoredKey] = weight;
+      }
+    });
+  }
+  
+  if (trackers.length > 0) restored.trackers = trackers;
+  const savedViews = cleanRestoredViews(source.savedViews);
+  if (savedViews.length > 0) restored.savedViews = savedViews;
+  
+  return { settings: restored, renamedIds };
+}
+
+/**
+ * A profile from a backup rebuilt from allowed fields only; { user, renamedIds }.
+ * Throws when its PIN or encryption parameters can't be trusted, since dropping
+ * them would silently unlock the profile.
+ */
+function cleanRestoredUser(user) {
+  const { settings, renamedIds } = cleanRestoredSettings(user.settings);
+  const restoredUser = {
+    id: user.id,
+    // Plain text names, and only avatars this app hands out
+    name: cleanProfileName(user.name),
+    avatar: AVATARS.includes(user.avatar) ? user.avatar : getRandomAvatar(),
+    createdAt: typeof user.createdAt === 'string' && !isNaN(Date.parse(user.createdAt))
+      ? new Date(user.createdAt).toISOString()
+      : new Date().toISOString(),
+    settings
+  };
+  
+  if (user.pin !== undefined) {
+    const pin = cleanKeyParams(user.pin, PIN_ITERATIONS);
+    if (!pin || typeof user.pin.hash !== 'string' || !BASE64_PATTERN.test(user.pin.hash)) {
+      throw new Error(`The PIN settings for ${restoredUser.name} are damaged.`);
+    }
+    restoredUser.pin = { ...pin, hash: user.pin.hash };
+  }
+  
+  if (user.encryption !== undefined) {
+    const encryption = cleanKeyParams(user.encryption, PBKDF2_ITERATIONS);
+    const { verifier } = isPlainObject(user.encryption) ? user.encryption : {};
+    if (!encryption || (verifier !== undefined && !isValidEncryptedBlob(verifier))) {
+      throw new Error(`The encryption settings for ${restoredUser.name} are damaged.`);
+    }
+    restoredUser.encryption = verifier ? { ...encryption, verifier: { iv: verifier.iv, data: verifier.data } } : encryption;
+  }
+  
+  return { user: restoredUser, renamedIds };
+}
+
+/**
+ * Validate a parsed backup file. Returns { profiles, dropped } or throws with a readable message.
+ * Version 1 files have no "encrypted" section.
+ */
+function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Simple Mood Tracker backup.');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app.');
+  }
+  if (!Array.isArray(backup.users) || typeof backup.data !== 'object' || backup.data === null) {
+    throw new Error('The backup file is damaged (missing profiles or entries).');
+  }
+  
+  const encryptedSection = backup.encrypted || {};
+  let dropped = 0;
+  const profiles = backup.users
+    .filter(user => isPlainObject(user) && typeof user.id === 'string' &&
+      RESTORED_USER_ID_PATTERN.test(user.id) && cleanProfileName(user.name))
+    .map(user => {
+      const { user: restoredUser, renamedIds } = cleanRestoredUser(user);
+      
+      if (isEncryptedProfile(restoredUser)) {
+        const blob = encryptedSection[user.id];
+        if (blob && !isValidEncryptedBlob(blob)) {
+          throw new Error(`The encrypted data for ${restoredUser.name} is damaged.`);
+        }
+        return { user: restoredUser, entries: [], encrypted: blob ? { iv: blob.iv, data: blob.data } : null };
+      }
+      
+      const rawEntries = Array.isArray(backup.data[user.id]) ? backup.data[user.id] : [];
+      const { entries } = migrateEntries(rawEntries, user.id);
+      dropped += rawEntries.length - entries.length;
+      
+      entries.forEach(entry => {
+        // Entries always belong to the profile they were exported under
+        entry.userId = user.id;
+        // and follow their trackers to re-derived ids
+        if (entry.trackers) {
+          entry.trackers = Object.fromEntries(Object.entries(entry.trackers)
+            .map(([id, value]) => [renamedIds[id] || id, value]));
+        }
+      });
+      
+      return { user: restoredUser, entries };
+    });
+  
+  if (profiles.length === 0) {
+    throw new Error('The backup file does not contain any profiles.');
+  }
+  
+  return { profiles, dropped };
+}
+
+/**
+ * Merge incoming entries into existing ones. A day can hold several check-ins,
+ * so entries only collide when one of getKeys() matches (by default the entry id);
+ * the incoming entry then replaces the existing one.
+ */
+function mergeEntries(existing, incoming, getKeys = entry => [entry.id]) {
+  const incomingKeys = new Set(incoming.flatMap(getKeys));
+  return [...existing.filter(entry => !getKeys(entry).some(key => incomingKeys.has(key))), ...incoming]
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Describe what restoring one profile would change
+ */
+function summarizeRestore(profile) {
+  const localUser = users.find(u => u.id === profile.user.id);
+  const existingEntries = allUserData[profile.user.id] || [];
+  const existingIds = new Set(existingEntries.map(e => e.id));
+  const updated = profile.entries.filter(e => existingIds.has(e.id)).length;
+  
+  return {
+    exists: Boolean(localUser),
+    // Encrypted data can only be swapped in whole, never merged entry by entry
+    encrypted: isEncryptedProfile(profile.user) || isEncryptedProfile(localUser),
+    incoming: profile.entries.length,
+    added: profile.entries.length - updated,
+    updated,
+    local: existingEntries.length
+  };
+}
+
+async function importBackup() {
+  const file = await pickFile('application/json,.json');
+  if (!file) return;
+  
+  let result;
+  try {
+    result = validateBackup(JSON.parse(await file.text()));
+  } catch (error) {
+    const message = error instanceof SyntaxError ? 'This file is not valid JSON.' : error.message;
+    alert(`Could not read backup: ${message}`);
+    console.error('❌ Backup import failed:', error);
+    return;
+  }
+  
+  showRestorePreview(result);
+}
+
+function showRestorePreview({ profiles, dropped }) {
+  let freeSlots = MAX_USERS - users.length;
+  
+  const rows = profiles.map((profile, index) => {
+    const summary = summarizeRestore(profile);
+    const canAdd = summary.exists || freeSlots > 0;
+    const canMerge = summary.exists && !summary.encrypted;
+    if (!summary.exists && canAdd) freeSlots--;
+    
+    let details;
+    if (summary.encrypted) {
+      details = summary.exists ? '🔒 Encrypted · can only be replaced as a whole' : 'New profile · 🔒 Encrypted';
+    } else if (summary.exists) {
+      details = `${summary.incoming} in backup · ${summary.local} on this device · ${summary.added} new · ${summary.updated} already here`;
+    } else {
+      details = `New profile · ${summary.incoming} ${summary.incoming === 1 ? 'entry' : 'entries'}`;
+    }
+    
+    return `
+      <div class="restore-row">
+        <div class="user-info">
+          <div class="user-card-avatar">${escapeHTML(profile.user.avatar)}</div>
+          <div class="user-card-details">
+            <div class="user-card-name">${escapeHTML(profile.user.name)}</div>
+            <div class="user-card-stats">${canAdd ? details : 'Skipped - maximum 5 users reached'}</div>
+          </div>
+        </div>
+        <select class="form-input restore-mode" data-index="${index}" ${canAdd ? '' : 'disabled'}>
+          ${canMerge ? '<option value="merge" selected>Merge</option>' : ''}
+          ${canAdd ? `<option value="replace" ${canMerge ? '' : 'selected'}>${summary.exists ? 'Replace' : 'Add'}</option>` : ''}
+          <option value="skip" ${canAdd ? '' : 'selected'}>Skip</option>
+        </select>
+      </div>
+    `;
+  }).join('');
+  
+  const overlay = openModal('Restore Backup', `
+    <p class="form-hint">Merge keeps entries from this device, adds the backup's new check-ins and takes the backup's copy of entries found in both. Replace discards this device's entries for that profile.</p>
+    ${dropped > 0 ? `<p class="form-hint">⚠️ ${dropped} unreadable ${dropped === 1 ? 'entry' : 'entries'} in the file will be ignored.</p>` : ''}
+    <div class="restore-list">${rows}</div>
+    <button class="primary-button" id="applyRestoreBtn">Restore</button>
+  `);
+  
+  overlay.querySelector('#applyRestoreBtn').addEventListener('click', () => {
+    const modes = {};
+    overlay.querySelectorAll('.restore-mode').forEach(select => {
+      modes[select.dataset.index] = select.value;
+    });
+    closeModal();
+    confirmRestorePins(profiles, modes, () => applyRestore(profiles, modes));
+  });
+}
+
+/**
+ * Ask for the PIN of every existing PIN-protected profile the restore would change
+ * (one prompt after another), then run onConfirmed. The open profile has already
+ * been unlocked, so it is not asked again.
+ */
+function confirmRestorePins(profiles, modes, onConfirmed) {
+  const pending = profiles
+    .filter((profile, index) => (modes[index] || 'skip') !== 'skip')
+    .map(profile => users.find(u => u.id === profile.user.id))
+    .filter(user => user && user.pin && !(currentUser && currentUser.id === user.id && pinVerifiedUserId === user.id));
+  
+  const next = () => {
+    const user = pending.shift();
+    if (user) {
+      requirePin(user, `Restore over ${user.name}`, next);
+    } else {
+      onConfirmed();
+    }
+  };
+  next();
+}
+
+function applyRestore(profiles, modes) {
+  // Keep in-memory state for the active profile in sync before touching allUserData
+  if (currentUser) {
+    allUserData[currentUser.id] = moodEntries;
+  }
+  
+  let restored = 0;
+  
+  profiles.forEach((profile, index) => {
+    const mode = modes[index] || 'skip';
+    if (mode === 'skip') return;
+    
+    const userId = profile.user.id;
+    const existingIndex = users.findIndex(u => u.id === userId);
+    const summary = summarizeRestore(profile);
+    
+    if (existingIndex === -1) {
+      if (users.length >= MAX_USERS) return;
+      users.push(profile.user);
+    } else if (mode === 'replace' || summary.encrypted) {
+      users[existingIndex] = profile.user;
+    }
+    
+    // Whatever was unlocked before no longer matches the restored profile
+    delete profileKeys[userId];
+    delete encryptedBlobs[userId];
+    
+    if (isEncryptedProfile(profile.user)) {
+      delete allUserData[userId];
+      delete quarantinedEntries[userId];
+      if (profile.encrypted) {
+        encryptedBlobs[userId] = profile.encrypted;
+        storagePut('entries', { userId, encrypted: profile.encrypted }).catch(reportStorageError);
+      } else {
+        storageDelete('entries', userId).catch(reportStorageError);
+      }
+    } else {
+      allUserData[userId] = mode === 'merge'
+        ? mergeEntries(allUserData[userId] || [], profile.entries)
+        : profile.entries;
+      if (mode !== 'merge') delete quarantinedEntries[userId];
+      persistEntries(userId);
+    }
+    
+    persistUser(users.find(u => u.id === userId));
+    restored++;
+  });
+  
+  console.log(`♻️ Restored ${restored} profile(s)`);
+  
+  const activeUser = currentUser && users.find(u => u.id === currentUser.id);
+  if (activeUser && !isProfileLocked(activeUser)) {
+    currentUser = activeUser;
+    moodEntries = allUserData[currentUser.id] || [];
+    refreshActiveTab();
+  } else {
+    // The active profile was replaced by an encrypted one - it must be unlocked again
+    currentUser = null;
+    moodEntries = [];
+    showLoginScreen(users.length === 0);
+  }
+  
+  alert(`Restored ${restored} ${restored === 1 ? 'profile' : 'profiles'}.`);
+}
+
+/**
+ * Re-render whichever tab is visible after data changed outside submitMood()
+ */
+function refreshActiveTab() {
+  const activeTab = document.querySelector('.tab-button.active')?.dataset.tab;
+  if (activeTab === 'stats') {
+    updateStatistics();
+    drawGraph();
+  } else if (activeTab === 'history') {
+    displayHistory();
+  } else if (activeTab === 'calendar') {
+    displayCalendar();
+  }
+}
+
+function setupBackupListeners() {
+  mountSettingsGroup('backup', '📦 Backup', `
+    <p class="form-hint">Save every profile to a file (profiles with a PIN only when they are open), or restore profiles from one. Restoring over a profile with a PIN asks for that PIN.</p>
+    <div class="settings-actions">
+      <button class="secondary-button export-backup-btn">Export backup</button>
+      <button class="secondary-button import-backup-btn">Restore backup</button>
+    </div>
+  `);
+  // Restoring also works before any profile is open (e.g. on a new device)
+  mountElement('.login-restore', '.login-container', 'beforeend', `
+    <div class="login-restore">
+      <button class="secondary-button import-backup-btn">Restore from backup</button>
+    </div>
+  `);
+  
+  document.querySelectorAll('.export-backup-btn').forEach(btn => {
+    btn.addEventListener('click', exportBackup);
+  });
+  document.querySelectorAll('.import-backup-btn').forEach(btn => {
+    btn.addEventListener('click', importBackup);
+  });
+}
+
+// ============================================
+// CSV EXPORT & IMPORT
+// ============================================
+// Export-only columns are written for people reading the file and never imported.
+// An exact label match wins when guessing the mapping, so "Mood Key" isn't read from "Mood".
+const CSV_COLUMNS = [
+  { key: 'id', label: 'Entry ID', aliases: ['id'] },
+  { key: 'date', label: 'Date', required: true, aliases: ['day'] },
+  { key: 'time', label: 'Time', aliases: ['hour'] },
+  { key: 'moodLabel', label: 'Mood', exportOnly: true, aliases: [] },
+  { key: 'mood', label: 'Mood Key', aliases: ['mood', 'feeling'] },
+  { key: 'value', label: 'Rating', required: true, aliases: ['value', 'mood value', 'score', 'overall'] },
+  { key: 'energy', label: 'Energy', aliases: ['energy level'] },
+  { key: 'sleep', label: 'Sleep', aliases: ['sleep quality'] },
+  { key: 'stress', label: 'Stress', aliases: ['stress level'] },
+  { key: 'productivity', label: 'Productivity', aliases: ['productive'] },
+  { key: 'social', label: 'Social', aliases: ['social connection'] },
+  { key: 'notes', label: 'Notes', aliases: ['note', 'comment', 'comments'] }
+];
+
+// Spreadsheets run cells starting with these as formulas; export puts a ' in front and
+// import takes off a ' followed by exactly the same characters
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+const CSV_QUOTED_FORMULA_PATTERN = /^'(?=[=+\-@\t\r])/;
+const CSV_ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+function toCsvField(value) {
+  let text = String(value ?? '');
+  if (CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv() {
+  if (!currentUser) {
+    alert('Please login first');
+    return;
+  }
+  
+  const header = CSV_COLUMNS.map(column => column.label);
+  const rows = [...moodEntries]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(entry => [
+      entry.id,
+      entry.date,
+      entry.time || '',
+      getMoodLabel(entry.value),
+      entry.mood,
+      entry.value,
+      ...ATTRIBUTE_KEYS.map(key => entry.attributes[key]),
+      entry.notes
+    ]);
+  
+  const csv = [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+  const safeName = currentUser.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+  downloadFile(`mood-entries-${safeName}-${getTodayDateString()}.csv`, csv, 'text/csv');
+  console.log(`📄 Exported ${rows.length} entries as CSV`);
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, comma or semicolon delimited) into rows of strings
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Guess which CSV header feeds each field, by name or alias
+ */
+function guessCsvMapping(headers) {
+  const normalized = headers.map(h => h.trim().toLowerCase().replace(/[_-]+/g, ' '));
+  const mapping = {};
+  
+  CSV_COLUMNS.filter(column => !column.exportOnly).forEach(column => {
+    const names = [column.label.toLowerCase(), column.key.toLowerCase(), ...column.aliases];
+    const index = names.map(name => normalized.indexOf(name)).find(i => i >= 0);
+    mapping[column.key] = index ?? -1;
+  });
+  
+  return mapping;
+}
+
+function normalizeCsvDate(raw) {
+  const match = raw.trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (!match) return null;
+  
+  const [, year, month, day] = match;
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null;
+  
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function normalizeCsvTime(raw) {
+  const match = raw.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  
+  const [, hours, minutes, seconds = '00'] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) return null;
+  
+  return `${hours.padStart(2, '0')}:${minutes}:${seconds}`;
+}
+
+function parseCsvRating(raw) {
+  const text = raw.trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  const number = Math.round(Number(text));
+  return number >= 1 && number <= 10 ? number : null;
+}
+
+/**
+ * Keys that make two check-ins the same one: the entry id, and the date and time when
+ * there is a time (untimed check-ins of one day are separate unless their ids match)
+ */
+function getCsvMergeKeys(entry) {
+  return entry.time ? [entry.id, `${entry.date} ${entry.time}`] : [entry.id];
+}
+
+/**
+ * Turn mapped CSV rows into entries. Returns { entries, errors } where each
+ * error names the spreadsheet row (header is row 1) and the problem.
+ * A row repeating an earlier one (same id, same date and time, or identical cells)
+ * is reported and skipped.
+ */
+function convertCsvRows(rows, mapping, userId) {
+  const entries = [];
+  const errors = [];
+  const seenRows = new Map(); // merge key or row contents -> first row number
+  const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] ?? '') : '');
+  
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const problems = [];
+    
+    const id = cell(row, 'id').trim();
+    if (id && !CSV_ENTRY_ID_PATTERN.test(id)) problems.push(`entry id "${id}" may only hold letters, digits, _ and -`);
+    
+    const date = normalizeCsvDate(cell(row, 'date'));
+    if (!date) problems.push(`date "${cell(row, 'date')}" is not a valid YYYY-MM-DD date`);
+    
+    const value = parseCsvRating(cell(row, 'value'));
+    if (value === null) problems.push(`value "${cell(row, 'value')}" is not a number from 1 to 10`);
+    
+    let time = null;
+    if (cell(row, 'time').trim()) {
+      time = normalizeCsvTime(cell(row, 'time'));
+      if (!time) problems.push(`time "${cell(row, 'time')}" is not HH:MM`);
+    }
+    
+    const attributes = {};
+    ATTRIBUTE_KEYS.forEach(key => {
+      const raw = cell(row, key);
+      if (!raw.trim()) {
+        attributes[key] = 5;
+        return;
+      }
+      attributes[key] = parseCsvRating(raw);
+      if (attributes[key] === null) problems.push(`${key} "${raw}" is not a number from 1 to 10`);
+    });
+    
+    if (problems.length > 0) {
+      errors.push(`Row ${rowNumber}: ${problems.join('; ')}`);
+      return;
+    }
+    
+    const moodKey = cell(row, 'mood').trim().toLowerCase();
+    const entry = createEntry({
+      id: id || `${userId}_csv_${Date.now()}_${index}`,
+      userId,
+      date,
+      time,
+      timestamp: new Date(`${date}T${time || '00:00:00'}`).toISOString(),
+      mood: MOOD_KEYS.includes(moodKey) ? moodKey : getMoodKeyForValue(value),
+      value,
+      attributes,
+      // Undo the quote exportCsv() puts in front of formula-like notes
+      notes: cell(row, 'notes').trim().replace(CSV_QUOTED_FORMULA_PATTERN, '')
+    });
+    
+    const keys = [...getCsvMergeKeys(entry), `row:${JSON.stringify(row)}`];
+    const firstRow = keys.map(key => seenRows.get(key)).find(Boolean);
+    if (firstRow) {
+      errors.push(`Row ${rowNumber}: same check-in as row ${firstRow}`);
+      return;
+    }
+    keys.forEach(key => seenRows.set(key, rowNumber));
+    entries.push(entry);
+  });
+  
+  return { entries, errors };
+}
+
+async function importCsv() {
+  if (!currentUser) {
+    alert('Please login first');
+    return;
+  }
+  
+  const file = await pickFile('text/csv,.csv');
+  if (!file) return;
+  
+  const rows = parseCsv(await file.text());
+  if (rows.length < 2) {
+    alert('The CSV file needs a header row and at least one data row.');
+    return;
+  }
+  
+  showCsvMapping(rows[0], rows.slice(1));
+}
+
+function showCsvMapping(headers, rows) {
+  const mapping = guessCsvMapping(headers);
+  
+  const fields = CSV_COLUMNS.filter(column => !column.exportOnly).map(column => {
+    const options = headers.map((header, index) => {
+      const sample = rows[0][index] ? ` (e.g. ${rows[0][index].slice(0, 20)})` : '';
+      return `<option value="${index}" ${mapping[column.key] === index ? 'selected' : ''}>${escapeHTML(header + sample)}</option>`;
+    }).join('');
+    
+    return `
+      <div class="form-group csv-mapping-row">
+        <label class="form-label">${column.label}${column.required ? ' *' : ''}</label>
+        <select class="form-input csv-mapping" data-key="${column.key}">
+          <option value="-1">— not in file —</option>
+          ${options}
+        </select>
+      </div>
+    `;
+  }).join('');
+  
+  const overlay = openModal('Import CSV', `
+    <p class="form-hint">${rows.length} ${rows.length === 1 ? 'row' : 'rows'} found. Choose which column holds each field. A row with the same entry ID, or the same date and time, as an existing check-in replaces it; other rows are added as new check-ins.</p>
+    <div class="csv-mapping-grid">${fields}</div>
+    <button class="primary-button" id="applyCsvImportBtn">Import</button>
+  `);
+  
+  overlay.querySelector('#applyCsvImportBtn').addEventListener('click', () => {
+    overlay.querySelectorAll('.csv-mapping').forEach(select => {
+      mapping[select.dataset.key] = parseInt(select.value);
+    });
+    
+    const missing = CSV_COLUMNS.filter(c => c.required && mapping[c.key] < 0);
+    if (missing.length > 0) {
+      alert(`Please choose a column for: ${missing.map(c => c.label).join(', ')}`);
+      return;
+    }
+    
+    applyCsvImport(rows, mapping);
+  });
+}
+
+function applyCsvImport(rows, mapping) {
+  const { entries, errors } = convertCsvRows(rows, mapping, currentUser.id);
+  
+  if (entries.length > 0) {
+    moodEntries = mergeEntries(moodEntries, entries, getCsvMergeKeys);
+    allUserData[currentUser.id] = moodEntries;
+    persistEntries(currentUser.id);
+    refreshActiveTab();
+  }
+  
+  console.log(`📥 Imported ${entries.length} CSV rows, rejected ${errors.length}`);
+  
+  openModal('Import Results', `
+    <p>✅ Imported ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}.</p>
+    ${errors.length > 0 ? `
+      <p>⚠️ ${errors.length} ${errors.length === 1 ? 'row was' : 'rows were'} skipped:</p>
+      <ul class="import-errors">${errors.map(e => `<li>${escapeHTML(e)}</li>`).join('')}</ul>
+    ` : ''}
+  `);
+}
+
+function setupCsvListeners() {
+  mountSettingsGroup('csv', '📄 Spreadsheet (CSV)', `
+    <p class="form-hint">Export this profile's check-ins for a spreadsheet, or import rows from one.</p>
+    <div class="settings-actions">
+      <button class="secondary-button export-csv-btn">Export CSV</button>
+      <button class="secondary-button import-csv-btn">Import CSV</button>
+    </div>
+  `);
+  
+  document.querySelectorAll('.export-csv-btn').forEach(btn => {
+    btn.addEventListener('click', exportCsv);
+  });
+  document.querySelectorAll('.import-csv-btn').forEach(btn => {
+    btn.addEventListener('click', importCsv);
+  });
+}
+
+// ============================================
+// BACKFILL (PAST DATES)
+// ============================================
+
+/**
+ * Read the Track tab's date/time pickers. Returns { date, time, backfilled },
+ * or null (after telling the user) when the choice is in the future.
+ */
+function getSelectedEntryDateTime(now) {
+  const todayStr = getTodayDateString();
+  const nowTime = now.toTimeString().split(' ')[0];
+  const date = entryDateInput && entryDateInput.value ? entryDateInput.value : todayStr;
+  const time = entryTimeInput && entryTimeInput.value ? `${entryTimeInput.value}:00`.slice(0, 8) : null;
+  
+  if (!DATE_PATTERN.test(date)) {
+    alert('Please pick a valid date');
+    return null;
+  }
+  
+  if (date > todayStr || (date === todayStr && time && time > nowTime)) {
+    alert('You can only log moods for today or the past');
+    return null;
+  }
+  
+  const backfilled = date !== todayStr || Boolean(time);
+  return { date, time: time || (backfilled ? null : nowTime), backfilled };
+}
+
+/**
+ * Label the submit button for the picked day: a first entry or one more check-in
+ */
+function updateSubmitButtonLabel() {
+  if (!submitButton || editingEntryId) return;
+  
+  const todayStr = getTodayDateString();
+  const date = (entryDateInput && entryDateInput.value) || todayStr;
+  const checkIns = moodEntries.filter(e => e.date === date).length;
+  
+  if (date === todayStr) {
+    submitButton.textContent = checkIns > 0 ? 'Add Another Check-in' : 'Submit Mood';
+  } else {
+    submitButton.textContent = checkIns > 0 ? `Add Check-in to ${formatDate(date)}` : `Log ${formatDate(date)}`;
+  }
+}
+
+function setupBackfillListeners() {
+  mountElement('#entryDateInput', '.emoji-grid', 'beforebegin', `
+    <div class="entry-datetime">
+      <div class="form-group">
+        <label class="form-label" for="entryDateInput">Date</label>
+        <input type="date" id="entryDateInput" class="form-input">
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="entryTimeInput">Time (optional)</label>
+        <input type="time" id="entryTimeInput" class="form-input">
+      </div>
+    </div>
+  `);
+  entryDateInput = document.getElementById('entryDateInput');
+  entryTimeInput = document.getElementById('entryTimeInput');
+  if (!entryDateInput) return;
+  
+  const todayStr = getTodayDateString();
+  entryDateInput.max = todayStr;
+  entryDateInput.value = todayStr;
+  
+  // Keep the upper bound current if the app stays open past midnight
+  entryDateInput.addEventListener('focus', () => {
+    entryDateInput.max = getTodayDateString();
+  });
+  entryDateInput.addEventListener('change', () => {
+    editingEntryId = null;
+    syncCancelEditButtons();
+    updateSubmitButtonLabel();
+  });
+}
+
+// ============================================
+// EDIT & DELETE ENTRIES
+// ============================================
+
+/**
+ * Open an existing entry in the Track form; submitMood() saves it back to the same id
+ */
+function startEditingEntry(entryId) {
+  const entry = moodEntries.find(e => e.id === entryId);
+  if (!entry) return;
+  
+  editingEntryId = entry.id;
+  fillTrackingForm(entry);
+  syncCancelEditButtons();
+  if (submitButton) {
+    submitButton.textContent = `Save Changes (${formatDateTime(entry.date, entry.time)})`;
+  }
+  
+  switchTab('track');
+  console.log(`✏️ Editing entry ${entry.id}`);
+}
+
+// "Cancel editing" is only shown while an entry is open in the form
+function syncCancelEditButtons() {
+  document.querySelectorAll('.cancel-edit-btn').forEach(btn => {
+    btn.hidden = !editingEntryId;
+  });
+}
+
+function deleteEntry(entryId) {
+  const entry = moodEntries.find(e => e.id === entryId);
+  if (!entry) return;
+  
+  if (!confirm(`Delete your entry from ${formatDateTime(entry.date, entry.time)}? This cannot be undone.`)) {
+    return;
+  }
+  
+  moodEntries = moodEntries.filter(e => e.id !== entryId);
+  allUserData[currentUser.id] = moodEntries;
+  persistEntries(currentUser.id);
+  
+  if (editingEntryId === entryId) {
+    resetTrackingForm();
+  }
+  
+  console.log(`🗑️ Deleted entry ${entryId}`);
+  refreshActiveTab();
+}
+
+// Event delegation for history card actions (History list and the calendar's day view)
+function handleHistoryCardClick(e) {
+  const notesToggle = e.target.closest('.notes-toggle');
+  if (notesToggle) {
+    toggleNotesExcerpt(notesToggle);
+    return;
+  }
+  
+  const btn = e.target.closest('.history-action-btn');
+  if (!btn || !btn.dataset.entryId) return;
+  
+  if (btn.dataset.action === 'edit') {
+    startEditingEntry(btn.dataset.entryId);
+  } else if (btn.dataset.action === 'delete') {
+    deleteEntry(btn.dataset.entryId);
+  }
+}
+
+function setupHistoryActions() {
+  if (historyList) historyList.addEventListener('click', handleHistoryCardClick);
+  
+  mountElement('.cancel-edit-btn', '#submitMoodBtn', 'afterend', `
+    <button class="secondary-button cancel-edit-btn" hidden>Cancel editing</button>
+  `);
+  document.querySelectorAll('.cancel-edit-btn').forEach(btn => {
+    btn.addEventListener('click', resetTrackingForm);
+  });
+}
+
+// ============================================
+// CHECK-INS & DAILY AGGREGATE
+// ============================================
+
+// How a day with several check-ins becomes the single value stats and graphs use
+const DAILY_AGGREGATES = {
+  mean: 'Average of the day',
+  last: 'Last check-in of the day'
+};
+const DEFAULT_DAILY_AGGREGATE = 'mean';
+
+function getDailyAggregate() {
+  const mode = currentUser && currentUser.settings && currentUser.settings.dailyAggregate;
+  return DAILY_AGGREGATES[mode] ? mode : DEFAULT_DAILY_AGGREGATE;
+}
+
+/**
+ * Order check-ins of one day from earliest to latest (entries without a time first).
+ * Compares date too: after the rollover hour a day can span two calendar dates.
+ */
+function compareCheckIns(a, b) {
+  return `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`) ||
+    (a.timestamp || '').localeCompare(b.timestamp || '');
+}
+
+/**
+ * Group entries by the day they count toward (see getEntryDay()):
+ * [{ date, entries }], newest day first, check-ins in time order
+ */
+function groupEntriesByDay(entries) {
+  const byDate = new Map();
+  entries.forEach(entry => {
+    const day = getEntryDay(entry);
+    if (!byDate.has(day)) byDate.set(day, []);
+    byDate.get(day).push(entry);
+  });
+  
+  return [...byDate.entries()]
+    .sort((a, b) => b[0].localeCompare(a[0]))
+    .map(([date, dayEntries]) => ({ date, entries: dayEntries.sort(compareCheckIns) }));
+}
+
+/**
+ * Collapse each day's check-ins into one { date, value, attributes, trackers, wellbeing, count },
+ * newest day first. "mean" averages the day (1 decimal), "last" takes its latest check-in.
+ */
+function getDailyEntries(entries = moodEntries, mode = getDailyAggregate()) {
+  const components = getWellbeingComponents();
+  
+  return groupEntriesByDay(entries).map(({ date, entries: dayEntries }) => {
+    const trackers = aggregateTrackerValues(dayEntries, mode);
+    let day;
+    
+    if (mode === 'last') {
+      const last = dayEntries[dayEntries.length - 1];
+      day = { date, value: last.value, attributes: { ...last.attributes }, trackers, count: dayEntries.length };
+    } else {
+      const attributes = {};
+      ATTRIBUTE_KEYS.forEach(key => {
+        attributes[key] = roundedAverage(dayEntries.map(e => e.attributes[key]));
+      });
+      day = { date, value: roundedAverage(dayEntries.map(e => e.value)), attributes, trackers, count: dayEntries.length };
+    }
+    
+    // Scored from the day's aggregated values
+    day.wellbeing = calculateWellbeing(day, components);
+    return day;
+  });
+}
+
+function roundedAverage(values) {
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10;
+}
+
+/**
+ * Custom tracker values for one day. Check-ins that skipped a tracker are left out;
+ * yes/no answers count as 1/0, so a "mean" day holds the share of yes answers.
+ */
+function aggregateTrackerValues(dayEntries, mode) {
+  const valuesById = {};
+  dayEntries.forEach(entry => {
+    Object.entries(entry.trackers || {}).forEach(([trackerId, value]) => {
+      (valuesById[trackerId] = valuesById[trackerId] || []).push(Number(value));
+    });
+  });
+  
+  const aggregated = {};
+  Object.entries(valuesById).forEach(([trackerId, values]) => {
+    aggregated[trackerId] = mode === 'last' ? values[values.length - 1] : roundedAverage(values);
+  });
+  return aggregated;
+}
+
+/**
+ * Show the active profile's choices in the per-profile setting selects
+ */
+function syncProfileSettingSelects() {
+  document.querySelectorAll('.daily-aggregate-select').forEach(select => {
+    select.value = getDailyAggregate();
+  });
+  document.querySelectorAll('.day-rollover-select').forEach(select => {
+    select.value = String(getDayRolloverHour());
+  });
+  document.querySelectorAll('.graph-gap-select').forEach(select => {
+    select.value = getGraphGapMode();
+  });
+  document.querySelectorAll('.attribute-polarity-select').forEach(select => {
+    select.value = getAttributePolarity(ATTRIBUTES.find(attr => attr.key === select.dataset.key));
+  });
+}
+
+/**
+ * Save the profile's daily aggregate choice and redraw stats and graphs with it
+ */
+function setDailyAggregate(mode) {
+  if (!currentUser || !DAILY_AGGREGATES[mode]) return;
+  
+  currentUser.settings = { ...currentUser.settings, dailyAggregate: mode };
+  persistUser(currentUser);
+  syncProfileSettingSelects();
+  console.log(`🧮 Daily aggregate for ${currentUser.name}: ${mode}`);
+  refreshActiveTab();
+}
+
+function setupDailyAggregateListeners() {
+  mountSettingsGroup('aggregate', '📊 Days with several check-ins', `
+    <div class="form-group">
+      <label class="form-label" for="dailyAggregateSelect">Stats and graphs use</label>
+      <select id="dailyAggregateSelect" class="form-input daily-aggregate-select"></select>
+    </div>
+  `);
+  
+  document.querySelectorAll('.daily-aggregate-select').forEach(select => {
+    select.innerHTML = Object.entries(DAILY_AGGREGATES)
+      .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+      .join('');
+    select.addEventListener('change', () => setDailyAggregate(select.value));
+  });
+}
+
+// ============================================
+// DAY ROLLOVER & TIMEZONES
+// ============================================
+
+// "My day ends at": check-ins before this hour still count toward the previous day
+const DAY_ROLLOVER_HOURS = [0, 1, 2, 3, 4, 5, 6];
+const DEFAULT_DAY_ROLLOVER_HOUR = 0;
+
+function getDayRolloverHour() {
+  const hour = currentUser && currentUser.settings && currentUser.settings.dayEndsAt;
+  return DAY_ROLLOVER_HOURS.includes(hour) ? hour : DEFAULT_DAY_ROLLOVER_HOUR;
+}
+
+/**
+ * The day an entry counts toward, from the local date/time it was logged with
+ */
+function getEntryDay(entry) {
+  const rolloverHour = getDayRolloverHour();
+  if (rolloverHour === 0 || !entry.time) return entry.date;
+  return parseInt(entry.time) < rolloverHour ? shiftDateString(entry.date, -1) : entry.date;
+}
+
+/**
+ * The profile's current day: until the rollover hour it is still yesterday
+ */
+function getCurrentDay(now = new Date()) {
+  const shifted = new Date(now);
+  shifted.setHours(shifted.getHours() - getDayRolloverHour());
+  return toLocalDateString(shifted);
+}
+
+/**
+ * Minutes east of UTC on this device at a given moment (120 for UTC+2)
+ */
+function getUtcOffset(date) {
+  return -date.getTimezoneOffset();
+}
+
+function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+  const mins = String(Math.abs(minutes) % 60).padStart(2, '0');
+  return `UTC${sign}${hours}:${mins}`;
+}
+
+function formatRolloverHour(hour) {
+  return hour === 0 ? 'Midnight' : `${hour} a.m.`;
+}
+
+/**
+ * Save the profile's "my day ends at" hour and re-bucket stats, graphs and history
+ */
+function setDayRolloverHour(hour) {
+  const rolloverHour = parseInt(hour);
+  if (!currentUser || !DAY_ROLLOVER_HOURS.includes(rolloverHour)) return;
+  
+  currentUser.settings = { ...currentUser.settings, dayEndsAt: rolloverHour };
+  persistUser(currentUser);
+  syncProfileSettingSelects();
+  console.log(`🌙 Day for ${currentUser.name} now ends at ${formatRolloverHour(rolloverHour)}`);
+  refreshActiveTab();
+}
+
+function setupDayRolloverListeners() {
+  mountSettingsGroup('rollover', '🌙 End of day', `
+    <div class="form-group">
+      <label class="form-label" for="dayRolloverSelect">My day ends at</label>
+      <select id="dayRolloverSelect" class="form-input day-rollover-select"></select>
+      <span class="form-hint">Check-ins before this hour count toward the day before.</span>
+    </div>
+  `);
+  
+  document.querySelectorAll('.day-rollover-select').forEach(select => {
+    select.innerHTML = DAY_ROLLOVER_HOURS
+      .map(hour => `<option value="${hour}">${formatRolloverHour(hour)}</option>`)
+      .join('');
+    select.addEventListener('change', () => setDayRolloverHour(select.value));
+  });
+}
+
+// ============================================
+// CUSTOM TRACKERS
+// ============================================
+// Each profile can add its own trackers next to the five fixed attributes.
+// Definitions live in user.settings.trackers:
+//   { id, name, icon, type: 'scale' | 'boolean', min, max, polarity }  (min/max for scale only;
+//   polarity is a POLARITIES key)
+// and answers in entry.trackers[id]. A tracker the user didn't touch is not recorded:
+// sliders count once moved, yes/no trackers have an explicit Yes / No / Skip choice.
+const MAX_CUSTOM_TRACKERS = 10;
+const TRACKER_RANGE_LIMIT = 1000;
+const MAX_TRACKER_ICON_LENGTH = 32; // UTF-16 units - room for long emoji ZWJ sequences
+const TRACKER_ID_PATTERN = /^tracker_[a-z0-9]+$/; // What buildCustomTracker() hands out
+const TRACKER_ANSWERS = [['yes', 'Yes'], ['no', 'No'], ['', 'Skip']];
+const TRACKER_TYPES = {
+  scale: 'Number range',
+  boolean: 'Yes / No'
+};
+
+function getCustomTrackers(user = currentUser) {
+  const trackers = user && user.settings && user.settings.trackers;
+  return Array.isArray(trackers) ? trackers : [];
+}
+
+function formatTrackerValue(tracker, value) {
+  if (tracker.type === 'boolean') return value ? '✓' : '✗';
+  return String(value);
+}
+
+function polarityOptions(selected) {
+  return Object.entries(POLARITIES)
+    .map(([polarity, label]) => `<option value="${polarity}" ${polarity === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+function describeTracker(tracker) {
+  return tracker.type === 'boolean' ? TRACKER_TYPES.boolean : `${tracker.min}-${tracker.max}`;
+}
+
+/**
+ * The series the mood graph plots: the mood, the wellbeing score or a custom
+ * tracker (yes/no trackers as the percentage of yes answers)
+ */
+function getGraphMetric() {
+  const tracker = getCustomTrackers().find(t => t.id === currentGraphMetric);
+  
+  if (currentGraphMetric === 'wellbeing') {
+    return { min: 0, max: 10, valueOf: day => day.wellbeing === null ? undefined : day.wellbeing };
+  }
+  if (!tracker) {
+    return { min: 0, max: 10, valueOf: day => day.value };
+  }
+  if (tracker.type === 'boolean') {
+    return {
+      min: 0,
+      max: 100,
+      valueOf: day => day.trackers[tracker.id] === undefined ? undefined : Math.round(day.trackers[tracker.id] * 100)
+    };
+  }
+  return { min: tracker.min, max: tracker.max, valueOf: day => day.trackers[tracker.id] };
+}
+
+/**
+ * Build the Track form inputs for the active profile's trackers
+ */
+function renderTrackerInputs() {
+  const container = document.getElementById('customTrackerInputs');
+  if (!container) return;
+  
+  container.innerHTML = getCustomTrackers().map(tracker => `
+    <div class="attribute-item custom-tracker-item">
+      <div class="attribute-header">
+        <span class="attribute-icon">${escapeHTML(tracker.icon)}</span>
+        <span class="attribute-name">${escapeHTML(tracker.name)}</span>
+        ${tracker.type === 'boolean'
+          ? `<div class="tracker-input tracker-choice" data-tracker-id="${escapeHTML(tracker.id)}" data-answer="" role="group" aria-label="${escapeHTML(tracker.name)}">
+              ${TRACKER_ANSWERS.map(([answer, label]) => `
+                <button type="button" class="tracker-choice-btn" data-answer="${answer}" aria-pressed="${answer === ''}">${label}</button>
+              `).join('')}
+            </div>`
+          : '<span class="attribute-value tracker-value">–</span>'}
+      </div>
+      ${tracker.type === 'boolean' ? '' : `
+        <input type="range" class="attribute-slider tracker-input" data-tracker-id="${escapeHTML(tracker.id)}"
+               min="${escapeHTML(tracker.min)}" max="${escapeHTML(tracker.max)}" value="${escapeHTML(tracker.min)}" aria-label="${escapeHTML(tracker.name)}">
+      `}
+    </div>
+  `).join('');
+}
+
+/**
+ * Answers from the Track form - only the trackers the user actually set
+ */
+function readTrackerInputs() {
+  const values = {};
+  document.querySelectorAll('#customTrackerInputs .tracker-input').forEach(input => {
+    if (input.classList.contains('tracker-choice')) {
+      if (input.dataset.answer) values[input.dataset.trackerId] = input.dataset.answer === 'yes';
+      return;
+    }
+    if (input.dataset.touched !== 'true') return;
+    values[input.dataset.trackerId] = parseInt(input.value);
+  });
+  return values;
+}
+
+function setTrackerChoice(group, answer) {
+  group.dataset.answer = answer;
+  group.querySelectorAll('.tracker-choice-btn').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.answer === answer));
+  });
+}
+
+function fillTrackerInputs(values = {}) {
+  document.querySelectorAll('#customTrackerInputs .tracker-input').forEach(input => {
+    const value = values[input.dataset.trackerId];
+    const answered = value !== undefined;
+    const display = input.closest('.custom-tracker-item')?.querySelector('.tracker-value');
+    
+    if (input.classList.contains('tracker-choice')) {
+      setTrackerChoice(input, answered ? (value ? 'yes' : 'no') : '');
+      return;
+    }
+    
+    input.dataset.touched = String(answered);
+    input.value = answered ? value : input.min;
+    if (display) display.textContent = answered ? value : '–';
+  });
+}
+
+function renderGraphMetricOptions() {
+  if (currentGraphMetric !== 'wellbeing' && !getCustomTrackers().some(t => t.id === currentGraphMetric)) {
+    currentGraphMetric = 'mood';
+  }
+  
+  document.querySelectorAll('.graph-metric-select').forEach(select => {
+    select.innerHTML = '<option value="mood">😊 Mood</option><option value="wellbeing">💚 Wellbeing</option>' + getCustomTrackers()
+      .map(t => `<option value="${escapeHTML(t.id)}">${escapeHTML(`${t.icon} ${t.name}`)}</option>`)
+      .join('');
+    select.value = currentGraphMetric;
+  });
+}
+
+/**
+ * True for one user-perceived character - an emoji ZWJ sequence like 👨‍👩‍👧 counts as one
+ */
+function isSingleGrapheme(text) {
+  if (text.length > MAX_TRACKER_ICON_LENGTH) return false;
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return true; // Only the length limit applies
+  return [...new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)].length === 1;
+}
+
+/**
+ * Check the "add tracker" form (or a tracker from a restored backup against the trackers
+ * restored before it); returns a tracker definition or an error message
+ */
+function buildCustomTracker({ name, icon, type, min, max, polarity }, existing = getCustomTrackers()) {
+  const trimmedName = name.trim();
+  if (!trimmedName) return { error: 'Please enter a tracker name' };
+  if (trimmedName.length > 20) return { error: 'Tracker name must be 20 characters or less' };
+  if (existing.some(t => t.name.toLowerCase() === trimmedName.toLowerCase())) {
+    return { error: 'You already have a tracker with this name' };
+  }
+  if (!TRACKER_TYPES[type]) return { error: 'Please choose a tracker type' };
+  if (!POLARITIES[polarity]) return { error: 'Please choose which end is better' };
+  const trimmedIcon = icon.trim();
+  if (trimmedIcon && !isSingleGrapheme(trimmedIcon)) return { error: 'The icon must be a single emoji or character' };
+  
+  const tracker = {
+    id: `tracker_${Date.now().toString(36)}`,
+    name: trimmedName,
+    icon: trimmedIcon || '📌',
+    type,
+    polarity
+  };
+  
+  if (type === 'scale') {
+    const low = Number(min);
+    const high = Number(max);
+    if (!Number.isInteger(low) || !Number.isInteger(high) || low >= high ||
+        Math.abs(low) > TRACKER_RANGE_LIMIT || Math.abs(high) > TRACKER_RANGE_LIMIT) {
+      return { error: `Range must be two whole numbers between -${TRACKER_RANGE_LIMIT} and ${TRACKER_RANGE_LIMIT}, lowest first` };
+    }
+    tracker.min = low;
+    tracker.max = high;
+  }
+  
+  return { tracker };
+}
+
+/**
+ * Save the profile's tracker list and refresh every place that shows trackers
+ */
+function saveCustomTrackers(trackers) {
+  currentUser.settings = { ...currentUser.settings, trackers };
+  persistUser(currentUser);
+  
+  renderTrackerInputs();
+  renderGraphMetricOptions();
+  if (editingEntryId) {
+    const entry = moodEntries.find(e => e.id === editingEntryId);
+    if (entry) fillTrackerInputs(entry.trackers);
+  }
+  refreshActiveTab();
+}
+
+function showTrackerSettings() {
+  if (!currentUser) return;
+  
+  const trackers = getCustomTrackers();
+  const rows = trackers.map(tracker => `
+    <div class="tracker-row">
+      <span class="attribute-icon">${escapeHTML(tracker.icon)}</span>
+      <span class="attribute-name">${escapeHTML(tracker.name)}</span>
+      <span class="form-hint">${escapeHTML(describeTracker(tracker))}</span>
+      <select class="form-input tracker-polarity" data-polarity-for="${escapeHTML(tracker.id)}" aria-label="Which end is better">
+        ${polarityOptions(getTrackerPolarity(tracker))}
+      </select>
+      <button class="history-action-btn delete" data-tracker-id="${escapeHTML(tracker.id)}">🗑️ Remove</button>
+    </div>
+  `).join('');
+  
+  const overlay = openModal('Custom Trackers', `
+    <div class="tracker-list">${rows || '<p class="form-hint">No custom trackers yet.</p>'}</div>
+    ${trackers.length < MAX_CUSTOM_TRACKERS ? `
+      <h3 class="subsection-title">Add a tracker</h3>
+      <div class="tracker-form">
+        <input type="text" id="trackerNameInput" class="form-input" maxlength="20" placeholder="Name, e.g. Caffeine cups">
+        <input type="text" id="trackerIconInput" class="form-input" maxlength="${MAX_TRACKER_ICON_LENGTH}" placeholder="Icon, e.g. ☕">
+        <select id="trackerTypeSelect" class="form-input">
+          ${Object.entries(TRACKER_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+        </select>
+        <select id="trackerPolaritySelect" class="form-input tracker-form-polarity" aria-label="Which end is better">
+          ${polarityOptions('higher')}
+        </select>
+        <div class="tracker-range">
+          <input type="number" id="trackerMinInput" class="form-input" value="0" step="1" aria-label="Lowest value">
+          <span>to</span>
+          <input type="number" id="trackerMaxInput" class="form-input" value="10" step="1" aria-label="Highest value">
+        </div>
+      </div>
+      <button class="primary-button" id="addTrackerBtn">Add Tracker</button>
+    ` : `<p class="form-hint">Maximum ${MAX_CUSTOM_TRACKERS} custom trackers reached.</p>`}
+  `);
+  
+  overlay.querySelector('.tracker-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-tracker-id]');
+    if (!btn) return;
+    
+    const tracker = trackers.find(t => t.id === btn.dataset.trackerId);
+    if (!tracker || !confirm(`Remove "${tracker.name}"? Answers already saved stay in your entries but are no longer shown.`)) {
+      return;
+    }
+    saveCustomTrackers(getCustomTrackers().filter(t => t.id !== tracker.id));
+    console.log(`🗑️ Removed tracker ${tracker.name}`);
+    showTrackerSettings();
+  });
+  
+  overlay.querySelectorAll('.tracker-polarity').forEach(select => {
+    select.addEventListener('change', () => {
+      saveCustomTrackers(getCustomTrackers().map(t => t.id === select.dataset.polarityFor ? { ...t, polarity: select.value } : t));
+    });
+  });
+  
+  const typeSelect = overlay.querySelector('#trackerTypeSelect');
+  const addButton = overlay.querySelector('#addTrackerBtn');
+  if (!addButton) return;
+  
+  typeSelect.addEventListener('change', () => {
+    overlay.querySelector('.tracker-range').style.display = typeSelect.value === 'scale' ? '' : 'none';
+  });
+  
+  addButton.addEventListener('click', () => {
+    const { tracker, error } = buildCustomTracker({
+      name: overlay.querySelector('#trackerNameInput').value,
+      icon: overlay.querySelector('#trackerIconInput').value,
+      type: typeSelect.value,
+      polarity: overlay.querySelector('#trackerPolaritySelect').value,
+      min: overlay.querySelector('#trackerMinInput').value,
+      max: overlay.querySelector('#trackerMaxInput').value
+    });
+    
+    if (error) {
+      alert(error);
+      return;
+    }
+    saveCustomTrackers([...getCustomTrackers(), tracker]);
+    console.log(`➕ Added tracker ${tracker.name}`);
+    showTrackerSettings();
+  });
+}
+
+function setupTrackerListeners() {
+  mountElement('#customTrackerInputs', '.attributes-section', 'beforeend', `
+    <div id="customTrackerInputs" class="custom-tracker-inputs"></div>
+  `);
+  mountElement('.graph-controls', '.period-selector', 'afterend', '<div class="graph-controls"></div>');
+  mountElement('.graph-metric-select', '.graph-controls', 'beforeend', `
+    <label class="graph-control">Show <select class="form-input graph-metric-select" aria-label="Graph series"></select></label>
+  `);
+  mountSettingsGroup('trackers', '📌 Custom trackers', `
+    <p class="form-hint">Track your own things next to the five attributes, as a number range or yes/no.</p>
+    <div class="settings-actions">
+      <button class="secondary-button manage-trackers-btn">Manage trackers</button>
+    </div>
+  `);
+  
+  const container = document.getElementById('customTrackerInputs');
+  if (container) {
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('.tracker-choice-btn');
+      if (btn) setTrackerChoice(btn.closest('.tracker-choice'), btn.dataset.answer);
+    });
+    
+    // Any change counts as an answer, even moving a slider back to its start
+    container.addEventListener('input', (e) => {
+      const input = e.target.closest('.tracker-input');
+      if (!input) return;
+      
+      input.dataset.touched = 'true';
+      const display = input.closest('.custom-tracker-item').querySelector('.tracker-value');
+      if (display) display.textContent = input.value;
+    });
+  }
+  
+  document.querySelectorAll('.graph-metric-select').forEach(select => {
+    select.addEventListener('change', () => {
+      currentGraphMetric = select.value;
+      resetGraphRange();
+      drawGraph();
+    });
+  });
+  
+  document.querySelectorAll('.manage-trackers-btn').forEach(btn => {
+    btn.addEventListener('click', showTrackerSettings);
+  });
+}
+
+// ============================================
+// ATTRIBUTE POLARITY & WELLBEING SCORE
+// ============================================
+// Polarity says which end of a scale is good: a 9 for sleep is great, a 9 for stress is not.
+// The built-in attributes start with the polarity below; a profile can change it in
+// settings.attributePolarity ({ [attrKey]: POLARITIES key }). The wellbeing score (0-10) is the weighted average of the mood and every attribute or
+// tracker that has a polarity, each scaled to 0-1 with 1 = good.
+const POLARITIES = {
+  higher: '↑ Higher is better',
+  lower: '↓ Lower is better',
+  neutral: '– Neither (not scored)'
+};
+
+const ATTRIBUTES = [
+  { key: 'energy', name: 'Energy Level', icon: '⚡', polarity: 'higher' },
+  { key: 'sleep', name: 'Sleep Quality', icon: '😴', polarity: 'higher' },
+  { key: 'stress', name: 'Stress Level', icon: '😰', polarity: 'lower' },
+  { key: 'productivity', name: 'Productivity', icon: '✅', polarity: 'higher' },
+  { key: 'social', name: 'Social Connection', icon: '💬', polarity: 'higher' }
+];
+
+const DEFAULT_MOOD_WEIGHT = 2;
+const DEFAULT_COMPONENT_WEIGHT = 1;
+const MAX_WELLBEING_WEIGHT = 5;
+
+/**
+ * The active profile's polarity for a built-in attribute, or its default
+ */
+function getAttributePolarity(attr) {
+  const chosen = currentUser && currentUser.settings && currentUser.settings.attributePolarity;
+  return chosen && POLARITIES[chosen[attr.key]] ? chosen[attr.key] : attr.polarity;
+}
+
+// Trackers made before polarity existed don't count toward the score
+function getTrackerPolarity(tracker) {
+  return POLARITIES[tracker.polarity] ? tracker.polarity : 'neutral';
+}
+
+/**
+ * Where a rating sits on its scale as a 0-1 share. Bars and the wellbeing score both use
+ * this, so a 1 is always empty and a 10 always full.
+ */
+function ratingShare(value, min = 1, max = 10) {
+  return (value - min) / (max - min);
+}
+
+/**
+ * Flip a 0-1 share so that 1 always means "good"
+ */
+function applyPolarity(polarity, share) {
+  return polarity === 'lower' ? 1 - share : share;
+}
+
+/**
+ * Everything that feeds the wellbeing score for the active profile, with its weight
+ * and a score(record) that works on entries and daily aggregates alike
+ */
+function getWellbeingComponents() {
+  const weights = (currentUser && currentUser.settings && currentUser.settings.wellbeingWeights) || {};
+  const weightOf = (key, fallback) => typeof weights[key] === 'number' ? weights[key] : fallback;
+  
+  const components = [{
+    key: 'mood',
+    icon: '😊',
+    name: 'Mood',
+    weight: weightOf('mood', DEFAULT_MOOD_WEIGHT),
+    score: record => ratingShare(record.value)
+  }];
+  
+  ATTRIBUTES.forEach(attr => {
+    const polarity = getAttributePolarity(attr);
+    if (polarity === 'neutral') return;
+    
+    components.push({
+      key: attr.key,
+      icon: attr.icon,
+      name: attr.name,
+      weight: weightOf(attr.key, DEFAULT_COMPONENT_WEIGHT),
+      score: record => applyPolarity(polarity, ratingShare(record.attributes[attr.key]))
+    });
+  });
+  
+  getCustomTrackers().forEach(tracker => {
+    const polarity = getTrackerPolarity(tracker);
+    if (polarity === 'neutral') return;
+    
+    components.push({
+      key: tracker.id,
+      icon: tracker.icon,
+      name: tracker.name,
+      weight: weightOf(tracker.id, DEFAULT_COMPONENT_WEIGHT),
+      score: record => {
+        const value = record.trackers && record.trackers[tracker.id];
+        if (value === undefined) return undefined;
+        const share = tracker.type === 'boolean' ? Number(value) : ratingShare(value, tracker.min, tracker.max);
+        return applyPolarity(polarity, share);
+      }
+    });
+  });
+  
+  return components;
+}
+
+/**
+ * Wellbeing score 0-10 (1 decimal) for an entry or a day; null when nothing is weighted.
+ * Trackers the record didn't answer are left out rather than counted as zero.
+ */
+function calculateWellbeing(record, components = getWellbeingComponents()) {
+  let total = 0;
+  let totalWeight = 0;
+  
+  components.forEach(component => {
+    if (component.weight <= 0) return;
+    const score = component.score(record);
+    if (score === undefined || isNaN(score)) return;
+    
+    total += Math.min(1, Math.max(0, score)) * component.weight;
+    totalWeight += component.weight;
+  });
+  
+  if (totalWeight === 0) return null;
+  return Math.round(total / totalWeight * 100) / 10;
+}
+
+/**
+ * Wellbeing stat cards (last 7 and 30 days) on the Stats tab
+ */
+function displayWellbeingScore(dailyEntries) {
+  const container = document.getElementById('wellbeingScore');
+  if (!container) return;
+  
+  const today = getCurrentDay();
+  const averageSince = days => {
+    const since = shiftDateString(today, -days);
+    const scores = dailyEntries.filter(e => e.date >= since && e.wellbeing !== null).map(e => e.wellbeing);
+    return scores.length > 0 ? roundedAverage(scores) : null;
+  };
+  const week = averageSince(7);
+  const month = averageSince(30);
+  
+  container.innerHTML = `
+    <h3 class="subsection-title">💚 Wellbeing score</h3>
+    <div class="stats-grid wellbeing-grid">
+      <div class="stat-card">
+        <div class="stat-label">Last 7 days</div>
+        <div class="stat-value">${week === null ? '-' : `${week}/10`}</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Last 30 days</div>
+        <div class="stat-value">${month === null ? '-' : `${month}/10`}</div>
+      </div>
+    </div>
+    <p class="form-hint">Mood and your attributes combined, with lower-is-better ones like stress turned around.</p>
+    <button class="history-action-btn wellbeing-weights-btn">⚖️ Adjust weights</button>
+  `;
+}
+
+function showWellbeingWeights() {
+  if (!currentUser) return;
+  
+  const components = getWellbeingComponents();
+  const fields = components.map(component => `
+    <div class="form-group wellbeing-weight-row">
+      <label class="form-label" for="weight_${escapeHTML(component.key)}">${escapeHTML(`${component.icon} ${component.name}`)}</label>
+      <input type="number" id="weight_${escapeHTML(component.key)}" class="form-input wellbeing-weight" data-key="${escapeHTML(component.key)}"
+             min="0" max="${MAX_WELLBEING_WEIGHT}" step="1" value="${escapeHTML(component.weight)}">
+    </div>
+  `).join('');
+  
+  const overlay = openModal('Wellbeing Weights', `
+    <p class="form-hint">0 leaves an item out, ${MAX_WELLBEING_WEIGHT} counts it most. Attributes and trackers only count when they have a polarity.</p>
+    <div class="csv-mapping-grid">${fields}</div>
+    <button class="primary-button" id="saveWeightsBtn">Save</button>
+    <button class="secondary-button" id="resetWeightsBtn">Reset to defaults</button>
+  `);
+  
+  overlay.querySelector('#saveWeightsBtn').addEventListener('click', () => {
+    const weights = {};
+    let invalid = false;
+    overlay.querySelectorAll('.wellbeing-weight').forEach(input => {
+      const weight = Number(input.value);
+      if (!Number.isInteger(weight) || weight < 0 || weight > MAX_WELLBEING_WEIGHT) invalid = true;
+      weights[input.dataset.key] = weight;
+    });
+    
+    if (invalid) {
+      alert(`Weights must be whole numbers from 0 to ${MAX_WELLBEING_WEIGHT}`);
+      return;
+    }
+    if (Object.values(weights).every(weight => weight === 0)) {
+      alert('At least one weight must be above 0');
+      return;
+    }
+    saveWellbeingWeights(weights);
+  });
+  
+  overlay.querySelector('#resetWeightsBtn').addEventListener('click', () => saveWellbeingWeights({}));
+}
+
+function saveWellbeingWeights(weights) {
+  currentUser.settings = { ...currentUser.settings, wellbeingWeights: weights };
+  persistUser(currentUser);
+  closeModal();
+  console.log(`⚖️ Wellbeing weights saved for ${currentUser.name}`);
+  refreshActiveTab();
+}
+
+/**
+ * Save the profile's polarity for a built-in attribute and rescore everything with it
+ */
+function setAttributePolarity(key, polarity) {
+  if (!currentUser || !POLARITIES[polarity] || !ATTRIBUTES.some(attr => attr.key === key)) return;
+  
+  const attributePolarity = { ...(currentUser.settings && currentUser.settings.attributePolarity), [key]: polarity };
+  currentUser.settings = { ...currentUser.settings, attributePolarity };
+  persistUser(currentUser);
+  console.log(`↕️ ${key} polarity for ${currentUser.name}: ${polarity}`);
+  refreshActiveTab();
+}
+
+function setupWellbeingListeners() {
+  const container = mountElement('#wellbeingScore', '#attributeBars', 'beforebegin',
+    '<div id="wellbeingScore" class="wellbeing-score"></div>');
+  
+  const polaritySelects = ATTRIBUTES.map(attr => `
+    <div class="form-group">
+      <label class="form-label" for="polarity_${attr.key}">${attr.icon} ${attr.name}</label>
+      <select id="polarity_${attr.key}" class="form-input attribute-polarity-select" data-key="${attr.key}">
+        ${polarityOptions(attr.polarity)}
+      </select>
+    </div>
+  `).join('');
+  mountSettingsGroup('polarity', '↕️ Which end is better', `
+    ${polaritySelects}
+    <p class="form-hint">Used for bar colours, the heatmap and the wellbeing score. "Neither" leaves an attribute out of the score.</p>
+  `);
+  document.querySelectorAll('.attribute-polarity-select').forEach(select => {
+    select.addEventListener('change', () => setAttributePolarity(select.dataset.key, select.value));
+  });
+  
+  if (!container) return;
+  
+  // The button is re-rendered with the stats, so listen on the container
+  container.addEventListener('click', (e) => {
+    if (e.target.closest('.wellbeing-weights-btn')) showWellbeingWeights();
+  });
+}
+
+// ============================================
+// ACTIVITY TAGS
+// ============================================
+// entry.tags holds lower-case, hyphenated tags ("work-from-home"). The Track tab offers
+// the presets plus every tag the profile has used; anything else can be typed in.
+const DEFAULT_TAGS = ['exercise', 'alcohol', 'meditation', 'work-from-home'];
+const MAX_TAGS_PER_ENTRY = 10;
+const MAX_TAG_LENGTH = 24;
+
+let selectedTags = new Set();   // Tags picked in the Track form
+let activeTagFilters = new Set(); // History shows only entries carrying all of these
+
+/**
+ * Turn user input into a tag ("Work from home" -> "work-from-home"); '' when nothing is left
+ */
+function normalizeTag(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+function normalizeTags(tags) {
+  const unique = new Set((Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean));
+  return [...unique].slice(0, MAX_TAGS_PER_ENTRY);
+}
+
+/**
+ * Tags used by the active profile, most used first
+ */
+function getUsedTags() {
+  const counts = new Map();
+  moodEntries.forEach(entry => {
+    (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([tag]) => tag);
+}
+
+function renderTagChip(tag, active, className) {
+  return `<button type="button" class="filter-chip ${className}${active ? ' active' : ''}" data-tag="${escapeHTML(tag)}">#${escapeHTML(tag)}</button>`;
+}
+
+function renderTagChips() {
+  const container = document.getElementById('tagChips');
+  if (!container) return;
+  
+  const tags = new Set([...DEFAULT_TAGS, ...getUsedTags(), ...selectedTags]);
+  container.innerHTML = [...tags].map(tag => renderTagChip(tag, selectedTags.has(tag), 'tag-chip')).join('');
+}
+
+function setSelectedTags(tags) {
+  selectedTags = new Set(normalizeTags(tags));
+  renderTagChips();
+}
+
+/**
+ * Add whatever is typed in the free-form tag box (comma separated) to the selection
+ */
+function addTypedTags() {
+  const tagInput = document.getElementById('tagInput');
+  if (!tagInput || !tagInput.value.trim()) return true;
+  
+  const typed = tagInput.value.split(',').map(normalizeTag).filter(Boolean);
+  if (selectedTags.size + typed.filter(tag => !selectedTags.has(tag)).length > MAX_TAGS_PER_ENTRY) {
+    alert(`You can add up to ${MAX_TAGS_PER_ENTRY} tags per check-in`);
+    return false;
+  }
+  
+  typed.forEach(tag => selectedTags.add(tag));
+  tagInput.value = '';
+  renderTagChips();
+  return true;
+}
+
+/**
+ * Tag filter chips above the history list (only tags this profile has used)
+ */
+function renderTagFilterChips() {
+  const container = document.getElementById('historyTagFilters');
+  if (!container) return;
+  
+  const usedTags = getUsedTags();
+  // Forget filters for tags that no longer exist (e.g. after deleting entries)
+  activeTagFilters = new Set([...activeTagFilters].filter(tag => usedTags.includes(tag)));
+  
+  container.innerHTML = usedTags.map(tag => renderTagChip(tag, activeTagFilters.has(tag), 'tag-filter-chip')).join('');
+}
+
+function setupTagListeners() {
+  mountElement('.tags-section', '.attributes-section', 'afterend', `
+    <div class="form-group tags-section">
+      <label class="form-label" for="tagInput">🏷️ Tags</label>
+      <div id="tagChips" class="tag-chips"></div>
+      <input type="text" id="tagInput" class="form-input" maxlength="${MAX_TAG_LENGTH * MAX_TAGS_PER_ENTRY}"
+             placeholder="Add your own, separated by commas" autocomplete="off">
+    </div>
+  `);
+  mountElement('#historyTagFilters', '.history-filters', 'afterend',
+    '<div id="historyTagFilters" class="tag-chips" aria-label="Filter by tag"></div>');
+  
+  const container = document.getElementById('tagChips');
+  if (container) {
+    container.addEventListener('click', (e) => {
+      const chip = e.target.closest('.tag-chip');
+      if (!chip) return;
+      
+      const tag = chip.dataset.tag;
+      if (selectedTags.has(tag)) {
+        selectedTags.delete(tag);
+      } else if (selectedTags.size >= MAX_TAGS_PER_ENTRY) {
+        alert(`You can add up to ${MAX_TAGS_PER_ENTRY} tags per check-in`);
+        return;
+      } else {
+        selectedTags.add(tag);
+      }
+      chip.classList.toggle('active', selectedTags.has(tag));
+    });
+  }
+  
+  const tagInput = document.getElementById('tagInput');
+  if (tagInput) {
+    tagInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addTypedTags();
+      }
+    });
+  }
+  
+  // Tag chips toggle independently and combine with the filter chips above
+  const tagFilterContainer = document.getElementById('historyTagFilters');
+  if (tagFilterContainer) {
+    tagFilterContainer.addEventListener('click', (e) => {
+      const chip = e.target.closest('.tag-filter-chip');
+      if (chip && chip.dataset.tag) {
+        requestAnimationFrame(() => {
+          const tag = chip.dataset.tag;
+          if (activeTagFilters.has(tag)) {
+            activeTagFilters.delete(tag);
+          } else {
+            activeTagFilters.add(tag);
+          }
+          displayHistory();
+        });
+      }
+    });
+  }
+}
+
+// ============================================
+// JOURNAL MODE & MARKDOWN NOTES
+// ============================================
+// Journal mode lifts the notes limit and formats notes as Markdown. Entries written
+// that way carry notesFormat: 'markdown'; everything else stays plain text.
+const NOTES_LIMIT = 200;
+const JOURNAL_NOTES_LIMIT = 5000;
+const NOTES_EXCERPT_LENGTH = 280;
+const NOTES_EXCERPT_LINES = 4;
+
+let journalMode = false;
+
+function getNotesLimit() {
+  return journalMode ? JOURNAL_NOTES_LIMIT : NOTES_LIMIT;
+}
+
+function updateCharCount() {
+  if (notesInput && charCount) {
+    charCount.textContent = `${notesInput.value.length}/${getNotesLimit()}`;
+  }
+}
+
+/**
+ * Switch journal mode on or off; the choice is remembered per profile unless persist is false
+ */
+function setJournalMode(enabled, { persist = true } = {}) {
+  if (!enabled && notesInput && notesInput.value.length > NOTES_LIMIT) {
+    alert(`Please shorten your note to ${NOTES_LIMIT} characters before leaving journal mode`);
+    enabled = true;
+  }
+  
+  journalMode = enabled;
+  if (notesInput) notesInput.maxLength = getNotesLimit();
+  document.querySelectorAll('.journal-mode-toggle').forEach(toggle => {
+    toggle.checked = journalMode;
+  });
+  
+  const preview = document.getElementById('notesPreview');
+  if (preview) preview.style.display = journalMode ? '' : 'none';
+  
+  updateCharCount();
+  updateNotesPreview();
+  
+  if (persist && currentUser) {
+    currentUser.settings = { ...currentUser.settings, journalMode };
+    persistUser(currentUser);
+  }
+}
+
+function updateNotesPreview() {
+  const preview = document.getElementById('notesPreview');
+  if (!preview || !journalMode || !notesInput) return;
+  
+  preview.innerHTML = notesInput.value.trim()
+    ? renderMarkdown(notesInput.value)
+    : '<p class="form-hint">Formatted preview appears here. Try **bold**, *italic*, - lists, # headings or [links](https://example.com).</p>';
+}
+
+function isSafeUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url);
+}
+
+/**
+ * **bold**, __bold__, *italic* and _italic_ on already-escaped text
+ */
+function renderEmphasis(text) {
+  return text
+    .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+    .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?=[^\w]|$)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Inline Markdown on one escaped line. Code spans and links are set aside first so
+ * emphasis markers inside them (e.g. underscores in a URL) are left alone.
+ */
+function renderInlineMarkdown(text) {
+  const kept = [];
+  const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+  
+  let html = text.replace(/`([^`]+)`/g, (match, code) => keep(`<code>${code}</code>`));
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (
+    isSafeUrl(url)
+      ? keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`)
+      : match
+  ));
+  html = renderEmphasis(html);
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+}
+
+/**
+ * Render a safe subset of Markdown: # headings, - / 1. lists, paragraphs and inline
+ * formatting. The text is HTML-escaped before anything else, so raw HTML never gets
+ * through, and links only allow http(s) and mailto.
+ */
+function renderMarkdown(text) {
+  const lines = escapeHTML(String(text).replace(/\u0000/g, '')).split(/\r?\n/);
+  const html = [];
+  let paragraph = [];
+  let list = null; // { tag: 'ul' | 'ol', items: [] }
+  
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (!list) return;
+    html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+  
+  lines.forEach(line => {
+    const heading = line.match(/^(#{1,3})\s+(.+)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.+)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.+)$/);
+    
+    if (heading) {
+      flushParagraph();
+      flushList();
+      // # maps to <h3> so a journal heading never outranks the page's own
+      const level = heading[1].length + 2;
+      html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  });
+  
+  flushParagraph();
+  flushList();
+  return html.join('');
+}
+
+/**
+ * Notes block for a history card: plain notes quoted as before, journal notes formatted
+ * and collapsed to an excerpt when long. Search terms are highlighted, and a long
+ * note that matches the search opens expanded so the match is visible.
+ */
+function renderEntryNotes(entry, highlightTerms = []) {
+  if (!entry.notes) return '';
+  if (entry.notesFormat !== 'markdown') {
+    return `<div class="history-notes">"${highlightMatches(escapeHTML(entry.notes), highlightTerms)}"</div>`;
+  }
+  
+  const isLong = entry.notes.length > NOTES_EXCERPT_LENGTH || entry.notes.split('\n').length > NOTES_EXCERPT_LINES;
+  const collapsed = isLong && highlightTerms.length === 0;
+  return `
+    <div class="history-notes markdown-notes${collapsed ? ' collapsed' : ''}">${highlightMatches(renderMarkdown(entry.notes), highlightTerms)}</div>
+    ${isLong ? `<button class="notes-toggle" aria-expanded="${!collapsed}">${collapsed ? 'Show more' : 'Show less'}</button>` : ''}
+  `;
+}
+
+function toggleNotesExcerpt(toggle) {
+  const notes = toggle.previousElementSibling;
+  if (!notes) return;
+  
+  const expanded = !notes.classList.toggle('collapsed');
+  toggle.textContent = expanded ? 'Show less' : 'Show more';
+  toggle.setAttribute('aria-expanded', String(expanded));
+}
+
+function setupJournalListeners() {
+  mountElement('.journal-toggle', '#notesInput', 'beforebegin', `
+    <label class="journal-toggle">
+      <input type="checkbox" class="journal-mode-toggle">
+      📓 Journal mode (Markdown, up to ${JOURNAL_NOTES_LIMIT} characters)
+    </label>
+  `);
+  mountElement('#notesPreview', '#charCount', 'afterend',
+    '<div id="notesPreview" class="notes-preview markdown-notes" style="display: none;" aria-live="polite"></div>');
+  
+  document.querySelectorAll('.journal-mode-toggle').forEach(toggle => {
+    toggle.addEventListener('change', () => setJournalMode(toggle.checked));
+  });
+}
+
+// ============================================
+// HISTORY SEARCH
+// ============================================
+// A small query language for the History search box. Terms are combined with AND:
+//   mood>=7  sleep<4  stress!=5  wellbeing>6  caffeine-cups>=2  workout=yes
+//   since:2026-09-01  until:2026-09-30  on:2026-09-15
+//   tag:exercise  #alcohol
+//   "deadline"  work      (text in notes, case-insensitive)
+const SEARCH_FIELDS = {
+  mood: entry => entry.value,
+  value: entry => entry.value,
+  energy: entry => entry.attributes.energy,
+  sleep: entry => entry.attributes.sleep,
+  stress: entry => entry.attributes.stress,
+  productivity: entry => entry.attributes.productivity,
+  social: entry => entry.attributes.social
+};
+
+const SEARCH_OPERATORS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '!=': (a, b) => a !== b,
+  '=': (a, b) => a === b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b
+};
+
+let currentSearchQuery = null; // Parsed search box contents, null when empty
+
+/**
+ * Look up a comparable field: built-in attributes, the wellbeing score or a custom
+ * tracker by its name written like a tag ("Caffeine cups" -> caffeine-cups)
+ */
+function getSearchField(name) {
+  const key = name.toLowerCase();
+  if (SEARCH_FIELDS[key]) return SEARCH_FIELDS[key];
+  if (key === 'wellbeing') return (entry, components) => calculateWellbeing(entry, components);
+  
+  const tracker = getCustomTrackers().find(t => normalizeTag(t.name) === normalizeTag(name));
+  if (!tracker) return null;
+  return entry => {
+    const value = entry.trackers && entry.trackers[tracker.id];
+    return value === undefined ? null : Number(value);
+  };
+}
+
+function parseSearchValue(text) {
+  const lower = text.toLowerCase();
+  if (lower === 'yes' || lower === 'true') return 1;
+  if (lower === 'no' || lower === 'false') return 0;
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Parse the search box into { terms, comparisons, since, until, tags, errors }.
+ * Tokens that can't be understood are reported in errors and otherwise ignored.
+ */
+function parseSearchQuery(text) {
+  const query = { terms: [], comparisons: [], since: null, until: null, tags: [], errors: [] };
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) query.terms.push(match[1].trim().toLowerCase());
+      continue;
+    }
+    
+    const token = match[2];
+    const dateMatch = token.match(/^(since|from|until|to|on|date):(.*)$/i);
+    const tagMatch = token.match(/^(?:tag:|#)(.+)$/i);
+    const comparison = token.match(/^([\p{L}\p{N}_-]+?)(>=|<=|!=|=|>|<)(.+)$/u);
+    
+    if (dateMatch) {
+      const [, keyword, date] = dateMatch;
+      if (!DATE_PATTERN.test(date)) {
+        query.errors.push(`"${token}" needs a date like ${keyword}:2026-09-01`);
+        continue;
+      }
+      const kind = keyword.toLowerCase();
+      if (kind === 'since' || kind === 'from' || kind === 'on' || kind === 'date') query.since = date;
+      if (kind === 'until' || kind === 'to' || kind === 'on' || kind === 'date') query.until = date;
+    } else if (tagMatch) {
+      const tag = normalizeTag(tagMatch[1]);
+      if (tag) query.tags.push(tag);
+    } else if (comparison) {
+      const [, field, operator, rawValue] = comparison;
+      const getValue = getSearchField(field);
+      const value = parseSearchValue(rawValue);
+      if (!getValue) {
+        query.errors.push(`Unknown field "${field}"`);
+      } else if (value === null) {
+        query.errors.push(`"${rawValue}" is not a number in "${token}"`);
+      } else {
+        query.comparisons.push({ getValue, compare: SEARCH_OPERATORS[operator], value });
+      }
+    } else {
+      query.terms.push(token.toLowerCase());
+    }
+  }
+  
+  return query;
+}
+
+function matchesSearch(entry, query, wellbeingComponents) {
+  const day = getEntryDay(entry);
+  if (query.since && day < query.since) return false;
+  if (query.until && day > query.until) return false;
+  
+  if (query.tags.some(tag => !(entry.tags || []).includes(tag))) return false;
+  
+  const notes = (entry.notes || '').toLowerCase();
+  if (query.terms.some(term => !notes.includes(term))) return false;
+  
+  return query.comparisons.every(({ getValue, compare, value }) => {
+    const actual = getValue(entry, wellbeingComponents);
+    return actual !== null && actual !== undefined && compare(actual, value);
+  });
+}
+
+function isSearchActive() {
+  const query = currentSearchQuery;
+  return Boolean(query) && (query.terms.length > 0 || query.comparisons.length > 0 ||
+    query.tags.length > 0 || Boolean(query.since) || Boolean(query.until));
+}
+
+/**
+ * Wrap search terms in <mark> inside already-rendered HTML, touching text only
+ * (never tags or entities like &amp;)
+ */
+function highlightMatches(html, terms) {
+  if (!terms || terms.length === 0) return html;
+  
+  const pattern = new RegExp(
+    terms.map(term => escapeHTML(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+    'gi'
+  );
+  return html
+    .split(/(<[^>]*>|&#?\w+;)/)
+    .map(part => /^(<|&#?\w+;$)/.test(part) ? part : part.replace(pattern, found => `<mark>${found}</mark>`))
+    .join('');
+}
+
+function updateSearchHint(matchCount) {
+  const hint = document.getElementById('searchHint');
+  if (!hint) return;
+  
+  if (currentSearchQuery && currentSearchQuery.errors.length > 0) {
+    hint.textContent = `⚠️ ${currentSearchQuery.errors.join(' · ')}`;
+    hint.classList.add('search-error');
+  } else {
+    hint.textContent = isSearchActive() ? `${matchCount} check-in${matchCount !== 1 ? 's' : ''} match` : '';
+    hint.classList.remove('search-error');
+  }
+}
+
+/**
+ * Empty the search box and forget the query (e.g. when another profile signs in)
+ */
+function clearHistorySearch() {
+  currentSearchQuery = null;
+  const searchInput = document.getElementById('historySearch');
+  if (searchInput) searchInput.value = '';
+  updateSearchHint(0);
+}
+
+function setupSearchListeners() {
+  const searchInput = mountElement('#historySearch', '.history-filters', 'beforebegin', `
+    <div class="history-search">
+      <input type="search" id="historySearch" class="form-input" autocomplete="off"
+             placeholder="Search, e.g. mood>=7 sleep<4 &quot;deadline&quot; since:2026-09-01"
+             aria-label="Search history" aria-describedby="searchHint">
+      <div id="searchHint" class="search-hint" aria-live="polite"></div>
+    </div>
+  `);
+  if (!searchInput) return;
+  
+  const runSearch = debounce(() => {
+    const text = searchInput.value.trim();
+    currentSearchQuery = text ? parseSearchQuery(text) : null;
+    displayHistory();
+  }, 200);
+  
+  searchInput.addEventListener('input', runSearch);
+}
+
+// ============================================
+// SAVED HISTORY VIEWS
+// ============================================
+// A view combines a date range, a mood band, attribute thresholds and a sort order.
+// Views are kept per profile in user.settings.savedViews as { id, name, criteria } and
+// appear as extra chips in .history-filters. While one is active, currentFilter is
+// 'view:<id>' ('view' for an unsaved view built in the dialog).
+const MAX_SAVED_VIEWS = 8;
+const VIEW_ID_PATTERN = /^view_[a-z0-9]+$/;
+const HISTORY_SORTS = {
+  newest: 'Newest days first',
+  oldest: 'Oldest days first',
+  best: 'Best days first',
+  worst: 'Toughest days first'
+};
+
+let customView = null; // Criteria of the unsaved view applied from the dialog
+
+function getSavedViews() {
+  const views = currentUser && currentUser.settings && currentUser.settings.savedViews;
+  return Array.isArray(views) ? views : [];
+}
+
+function createViewCriteria() {
+  return { lastDays: null, since: null, until: null, moodMin: 1, moodMax: 10, thresholds: [], sort: 'newest' };
+}
+
+/**
+ * Criteria of the active view, or null when a plain chip is selected
+ */
+function getActiveViewCriteria() {
+  if (currentFilter === 'view') return customView;
+  if (!currentFilter.startsWith('view:')) return null;
+  
+  const view = getSavedViews().find(v => v.id === currentFilter.slice(5));
+  return view ? view.criteria : null;
+}
+
+function matchesView(entry, criteria, wellbeingComponents) {
+  const day = getEntryDay(entry);
+  if (criteria.lastDays && day < shiftDateString(getCurrentDay(), -criteria.lastDays)) return false;
+  if (criteria.since && day < criteria.since) return false;
+  if (criteria.until && day > criteria.until) return false;
+  if (entry.value < criteria.moodMin || entry.value > criteria.moodMax) return false;
+  
+  // Thresholds use the same fields as the search box (see getSearchField())
+  return criteria.thresholds.every(({ field, op, value }) => {
+    const getValue = getSearchField(field);
+    if (!getValue) return true; // e.g. a tracker that has since been removed
+    const actual = getValue(entry, wellbeingComponents);
+    return actual !== null && actual !== undefined && SEARCH_OPERATORS[op](actual, value);
+  });
+}
+
+/**
+ * Order day groups for the history list; "best"/"worst" use the daily aggregate
+ */
+function sortDayGroups(days, sort, dailyByDate) {
+  const valueOf = group => dailyByDate.get(group.date).value;
+  
+  if (sort === 'oldest') return days.reverse();
+  if (sort === 'best') return days.sort((a, b) => valueOf(b) - valueOf(a) || b.date.localeCompare(a.date));
+  if (sort === 'worst') return days.sort((a, b) => valueOf(a) - valueOf(b) || b.date.localeCompare(a.date));
+  return days;
+}
+
+/**
+ * Fields a threshold can use: the five attributes, wellbeing and scale/yes-no trackers
+ */
+function getThresholdFields() {
+  return [
+    ...ATTRIBUTES.map(attr => ({ key: attr.key, label: `${attr.icon} ${attr.name}` })),
+    { key: 'wellbeing', label: '💚 Wellbeing' },
+    ...getCustomTrackers().map(tracker => ({
+      key: normalizeTag(tracker.name),
+      label: `${tracker.icon} ${tracker.name}${tracker.type === 'boolean' ? ' (1 = yes)' : ''}`
+    }))
+  ];
+}
+
+/**
+ * Saved view chips (plus the "Custom view" chip) inside .history-filters
+ */
+function renderSavedViewChips() {
+  const filterContainer = document.querySelector('.history-filters');
+  
+  // A saved view deleted (or belonging to another profile) falls back to "all"
+  if (currentFilter.startsWith('view') && !getActiveViewCriteria()) {
+    currentFilter = 'all';
+    if (filterContainer) {
+      filterContainer.querySelectorAll('.filter-chip[data-filter="all"]').forEach(chip => chip.classList.add('active'));
+    }
+  }
+  
+  if (!filterContainer) return;
+  
+  let container = filterContainer.querySelector('.saved-view-chips');
+  if (!container) {
+    container = document.createElement('span');
+    container.className = 'saved-view-chips';
+    filterContainer.appendChild(container);
+  }
+  
+  container.innerHTML = getSavedViews().map(view => `
+    <button class="filter-chip view-chip${currentFilter === `view:${view.id}` ? ' active' : ''}" data-filter="view:${escapeHTML(view.id)}">
+      ★ ${escapeHTML(view.name)}
+    </button>
+  `).join('') + `
+    <button class="filter-chip view-chip${currentFilter === 'view' ? ' active' : ''}" data-action="custom-view">⚙️ Custom view</button>
+  `;
+}
+
+function readViewCriteria(overlay) {
+  const number = selector => {
+    const text = overlay.querySelector(selector).value.trim();
+    return text === '' ? null : Number(text);
+  };
+  const criteria = createViewCriteria();
+  
+  criteria.lastDays = number('#viewLastDays');
+  criteria.since = overlay.querySelector('#viewSince').value || null;
+  criteria.until = overlay.querySelector('#viewUntil').value || null;
+  criteria.moodMin = number('#viewMoodMin') ?? 1;
+  criteria.moodMax = number('#viewMoodMax') ?? 10;
+  criteria.sort = overlay.querySelector('#viewSort').value;
+  
+  overlay.querySelectorAll('.view-threshold').forEach(row => {
+    const op = row.querySelector('.view-threshold-op').value;
+    const value = row.querySelector('.view-threshold-value').value.trim();
+    if (op && value !== '') {
+      criteria.thresholds.push({ field: row.dataset.field, op, value: Number(value) });
+    }
+  });
+  
+  const error = checkViewCriteria(criteria);
+  return error ? { error } : { criteria };
+}
+
+/**
+ * Problem with a set of view criteria as a readable message, or '' when they are usable.
+ * Criteria from the dialog and from a restored backup both go through here.
+ */
+function checkViewCriteria(criteria) {
+  if (criteria.lastDays !== null && (!Number.isInteger(criteria.lastDays) || criteria.lastDays < 1)) {
+    return '"Last days" must be a whole number of days';
+  }
+  if (criteria.since && criteria.until && criteria.since > criteria.until) {
+    return 'The start date must be before the end date';
+  }
+  if (![criteria.moodMin, criteria.moodMax].every(v => Number.isInteger(v) && v >= 1 && v <= 10) ||
+      criteria.moodMin > criteria.moodMax) {
+    return 'Mood band must be two whole numbers from 1 to 10, lowest first';
+  }
+  if (criteria.thresholds.some(t => isNaN(t.value))) {
+    return 'Thresholds must be numbers';
+  }
+  return '';
+}
+
+/**
+ * Back to the "All" chip with no custom view (e.g. when another profile signs in)
+ */
+function resetHistoryView() {
+  customView = null;
+  currentFilter = 'all';
+  document.querySelectorAll('.history-filters .filter-chip').forEach(chip => {
+    chip.classList.toggle('active', chip.dataset.filter === 'all');
+  });
+}
+
+function applyView(filter, criteria) {
+  customView = filter === 'view' ? criteria : customView;
+  currentFilter = filter;
+  document.querySelectorAll('.history-filters .filter-chip').forEach(chip => chip.classList.remove('active'));
+  displayHistory();
+}
+
+function showViewBuilder() {
+  if (!currentUser) return;
+  
+  const criteria = getActiveViewCriteria() || createViewCriteria();
+  const thresholdFor = key => criteria.thresholds.find(t => t.field === key);
+  
+  const thresholdRows = getThresholdFields().map(field => {
+    const threshold = thresholdFor(field.key);
+    return `
+      <div class="view-threshold" data-field="${escapeHTML(field.key)}">
+        <span>${escapeHTML(field.label)}</span>
+        <select class="form-input view-threshold-op">
+          <option value="">any</option>
+          ${['>=', '<=', '='].map(op => `<option value="${op}" ${threshold && threshold.op === op ? 'selected' : ''}>${op === '>=' ? '≥' : op === '<=' ? '≤' : '='}</option>`).join('')}
+        </select>
+        <input type="number" class="form-input view-threshold-value" step="any" value="${threshold ? escapeHTML(threshold.value) : ''}">
+      </div>
+    `;
+  }).join('');
+  
+  const savedRows = getSavedViews().map(view => `
+    <div class="tracker-row">
+      <span class="attribute-name">★ ${escapeHTML(view.name)}</span>
+      <button class="history-action-btn delete" data-view-id="${escapeHTML(view.id)}">🗑️ Delete</button>
+    </div>
+  `).join('');
+  
+  const overlay = openModal('History View', `
+    <div class="view-builder">
+      <div class="form-group">
+        <label class="form-label">Dates</label>
+        <div class="tracker-range">
+          <input type="number" id="viewLastDays" class="form-input" min="1" step="1" placeholder="Last N days" value="${escapeHTML(criteria.lastDays)}">
+          <span>or</span>
+          <input type="date" id="viewSince" class="form-input" value="${escapeHTML(criteria.since)}" aria-label="From">
+          <span>to</span>
+          <input type="date" id="viewUntil" class="form-input" value="${escapeHTML(criteria.until)}" aria-label="To">
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Mood between</label>
+        <div class="tracker-range">
+          <input type="number" id="viewMoodMin" class="form-input" min="1" max="10" value="${escapeHTML(criteria.moodMin)}">
+          <span>and</span>
+          <input type="number" id="viewMoodMax" class="form-input" min="1" max="10" value="${escapeHTML(criteria.moodMax)}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Thresholds</label>
+        <div class="view-thresholds">${thresholdRows}</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="viewSort">Sort</label>
+        <select id="viewSort" class="form-input">
+          ${Object.entries(HISTORY_SORTS).map(([sort, label]) => `<option value="${sort}" ${criteria.sort === sort ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <button class="primary-button" id="applyViewBtn">Apply</button>
+    <div class="form-group">
+      <input type="text" id="viewNameInput" class="form-input" maxlength="24" placeholder="Name, e.g. Bad-sleep weeks">
+    </div>
+    <button class="secondary-button" id="saveViewBtn">Save as view</button>
+    ${savedRows ? `<h3 class="subsection-title">Saved views</h3><div class="tracker-list">${savedRows}</div>` : ''}
+  `);
+  
+  overlay.querySelector('#applyViewBtn').addEventListener('click', () => {
+    const { criteria: applied, error } = readViewCriteria(overlay);
+    if (error) {
+      alert(error);
+      return;
+    }
+    closeModal();
+    applyView('view', applied);
+  });
+  
+  overlay.querySelector('#saveViewBtn').addEventListener('click', () => {
+    const name = overlay.querySelector('#viewNameInput').value.trim();
+    const { criteria: saved, error } = readViewCriteria(overlay);
+    if (error) {
+      alert(error);
+      return;
+    }
+    if (!name) {
+      alert('Please give the view a name');
+      return;
+    }
+    
+    const views = getSavedViews();
+    const existing = views.find(v => v.name.toLowerCase() === name.toLowerCase());
+    if (!existing && views.length >= MAX_SAVED_VIEWS) {
+      alert(`Maximum ${MAX_SAVED_VIEWS} saved views reached`);
+      return;
+    }
+    
+    // Saving under an existing name updates that view
+    const view = { id: existing ? existing.id : `view_${Date.now().toString(36)}`, name, criteria: saved };
+    saveSavedViews(existing ? views.map(v => v.id === view.id ? view : v) : [...views, view]);
+    console.log(`★ Saved view ${name}`);
+    closeModal();
+    applyView(`view:${view.id}`, saved);
+  });
+  
+  const savedList = overlay.querySelector('.tracker-list');
+  if (savedList) {
+    savedList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-view-id]');
+      if (!btn) return;
+      const view = getSavedViews().find(v => v.id === btn.dataset.viewId);
+      if (!view || !confirm(`Delete the view "${view.name}"?`)) return;
+      
+      saveSavedViews(getSavedViews().filter(v => v.id !== view.id));
+      displayHistory();
+      showViewBuilder();
+    });
+  }
+}
+
+function saveSavedViews(views) {
+  currentUser.settings = { ...currentUser.settings, savedViews: views };
+  persistUser(currentUser);
+}
+
+// ============================================
+// YEAR IN PIXELS
+// ============================================
+// Stats tab heatmap (#yearHeatmap): one cell per day of the chosen year, months as
+// columns and days as rows. Cells use the mood bands from getMoodColorClass(); an
+// attribute where lower is better (stress) is flipped first, so green is always good.
+const HEATMAP_MONTHS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+let heatmapYear = null; // null = the current year
+let heatmapMetric = 'mood';
+
+function getHeatmapValue(day) {
+  if (heatmapMetric === 'mood') return day.value;
+  
+  const attr = ATTRIBUTES.find(a => a.key === heatmapMetric);
+  const value = day.attributes[heatmapMetric];
+  return getAttributePolarity(attr) === 'lower' ? 11 - value : value;
+}
+
+function describeHeatmapDay(date, day) {
+  if (!day) return `${formatDateTime(date)} · no check-in`;
+  
+  let summary = `${formatDateTime(date)} · ${getMoodEmoji(Math.round(day.value))} ${day.value}/10 · ${day.count} check-in${day.count !== 1 ? 's' : ''}`;
+  const attr = ATTRIBUTES.find(a => a.key === heatmapMetric);
+  if (attr) {
+    summary += ` · ${attr.icon} ${attr.name} ${day.attributes[attr.key]}/10`;
+  }
+  return summary;
+}
+
+function displayYearHeatmap(dailyEntries) {
+  const container = document.getElementById('yearHeatmap');
+  if (!container) return;
+  
+  const today = getCurrentDay();
+  const currentYear = Number(today.slice(0, 4));
+  const years = [...new Set([currentYear, ...dailyEntries.map(e => Number(e.date.slice(0, 4)))])].sort((a, b) => b - a);
+  const year = years.includes(heatmapYear) ? heatmapYear : currentYear;
+  const byDate = new Map(dailyEntries.map(day => [day.date, day]));
+  
+  let cells = '<span></span>' + HEATMAP_MONTHS.map(m => `<span class="heatmap-label">${m}</span>`).join('');
+  for (let dayOfMonth = 1; dayOfMonth <= 31; dayOfMonth++) {
+    cells += `<span class="heatmap-label">${dayOfMonth}</span>`;
+    
+    for (let month = 0; month < 12; month++) {
+      const date = new Date(year, month, dayOfMonth);
+      if (date.getMonth() !== month) {
+        cells += '<span class="heatmap-cell heatmap-void"></span>';
+        continue;
+      }
+      
+      const dateStr = toLocalDateString(date);
+      const day = byDate.get(dateStr);
+      const band = day ? getMoodColorClass(getHeatmapValue(day)) : (dateStr > today ? 'heatmap-future' : 'heatmap-empty');
+      const summary = escapeHTML(describeHeatmapDay(dateStr, day));
+      cells += `<button class="heatmap-cell ${band}" data-date="${dateStr}" title="${summary}" aria-label="${summary}"></button>`;
+    }
+  }
+  
+  const metricOptions = [{ key: 'mood', icon: '😊', name: 'Mood' }, ...ATTRIBUTES]
+    .map(m => `<option value="${m.key}" ${m.key === heatmapMetric ? 'selected' : ''}>${m.icon} ${m.name}</option>`)
+    .join('');
+  
+  container.innerHTML = `
+    <div class="heatmap-header">
+      <h3 class="subsection-title">🟩 Year in pixels</h3>
+      <div class="heatmap-controls">
+        <select class="form-input heatmap-year-select" aria-label="Year">
+          ${years.map(y => `<option value="${y}" ${y === year ? 'selected' : ''}>${y}</option>`).join('')}
+        </select>
+        <select class="form-input heatmap-metric-select" aria-label="Show">${metricOptions}</select>
+      </div>
+    </div>
+    <div class="heatmap-grid">${cells}</div>
+    <div class="heatmap-legend">
+      <span><i class="heatmap-cell mood-low"></i> 1–4</span>
+      <span><i class="heatmap-cell mood-medium"></i> 5–7</span>
+      <span><i class="heatmap-cell mood-high"></i> 8–10</span>
+      <span><i class="heatmap-cell heatmap-empty"></i> No check-in</span>
+    </div>
+  `;
+}
+
+/**
+ * Switch to History showing a single day (via an on: search, so it's easy to clear)
+ */
+function openDayInHistory(date) {
+  const query = `on:${date}`;
+  const searchInput = document.getElementById('historySearch');
+  if (searchInput) searchInput.value = query;
+  currentSearchQuery = parseSearchQuery(query);
+  
+  // Drop chip filters that could hide the day
+  resetHistoryView();
+  activeTagFilters.clear();
+  
+  switchTab('history');
+}
+
+function setupHeatmapListeners() {
+  const container = mountElement('#yearHeatmap', '#stats-tab .content-card', 'beforeend', '<div id="yearHeatmap"></div>');
+  if (!container) return;
+  
+  container.addEventListener('change', (e) => {
+    if (e.target.classList.contains('heatmap-year-select')) {
+      heatmapYear = Number(e.target.value);
+    } else if (e.target.classList.contains('heatmap-metric-select')) {
+      heatmapMetric = e.target.value;
+    } else {
+      return;
+    }
+    displayYearHeatmap(getDailyEntries());
+  });
+  
+  container.addEventListener('click', (e) => {
+    const cell = e.target.closest('.heatmap-cell[data-date]');
+    if (cell && !cell.classList.contains('heatmap-empty') && !cell.classList.contains('heatmap-future')) {
+      openDayInHistory(cell.dataset.date);
+    }
+  });
+}
+
+// ============================================
+// MONTH CALENDAR
+// ============================================
+// Calendar tab (#monthCalendar): a month grid with one cell per day showing the day's
+// emoji and check-in count. Picking a day shows its check-ins below the grid, or
+// offers to log one. Days use getEntryDay(), so they match History and Stats.
+const CALENDAR_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let calendarMonth = null; // 'YYYY-MM'; null = the current month
+let selectedCalendarDay = null;
+
+function shiftCalendarMonth(months) {
+  const [year, month] = (calendarMonth || getCurrentDay().slice(0, 7)).split('-').map(Number);
+  calendarMonth = toLocalDateString(new Date(year, month - 1 + months, 1)).slice(0, 7);
+  selectedCalendarDay = null;
+  displayCalendar();
+}
+
+function displayCalendar() {
+  const container = document.getElementById('monthCalendar');
+  if (!container) return;
+  
+  if (!currentUser) {
+    container.innerHTML = '<p style="text-align: center; color: var(--color-text-secondary); padding: 40px;">Please select a user profile.</p>';
+    return;
+  }
+  
+  const today = getCurrentDay();
+  const month = calendarMonth || today.slice(0, 7);
+  const [year, monthIndex] = month.split('-').map(Number);
+  const firstDay = new Date(year, monthIndex - 1, 1);
+  const daysInMonth = new Date(year, monthIndex, 0).getDate();
+  const byDate = new Map(getDailyEntries().filter(day => day.date.startsWith(month)).map(day => [day.date, day]));
+  
+  let cells = CALENDAR_WEEKDAYS.map(d => `<span class="calendar-weekday">${d}</span>`).join('');
+  cells += '<span class="calendar-day calendar-pad"></span>'.repeat(firstDay.getDay());
+  
+  for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+    const date = `${month}-${String(dayOfMonth).padStart(2, '0')}`;
+    const day = byDate.get(date);
+    const classes = ['calendar-day'];
+    if (!day) classes.push(date > today ? 'calendar-future' : 'calendar-empty');
+    if (date === today) classes.push('is-today');
+    if (date === selectedCalendarDay) classes.push('is-selected');
+    
+    cells += `
+      <button class="${classes.join(' ')}" data-date="${date}" ${date > today && !day ? 'disabled' : ''}
+        aria-label="${escapeHTML(day ? `${formatDateTime(date)}: ${day.count} check-in${day.count !== 1 ? 's' : ''}` : `${formatDateTime(date)}: no check-in`)}">
+        <span class="calendar-day-number">${dayOfMonth}</span>
+        ${day ? `
+          <span class="calendar-day-emoji">${getMoodEmoji(Math.round(day.value))}</span>
+          <span class="calendar-day-count">${day.count > 1 ? `×${day.count}` : ''}</span>
+        ` : ''}
+      </button>
+    `;
+  }
+  
+  const loggedDays = byDate.size;
+  const pastDays = month === today.slice(0, 7) ? Number(today.slice(8)) : (month < today.slice(0, 7) ? daysInMonth : 0);
+  
+  container.innerHTML = `
+    <div class="calendar-header">
+      <button class="secondary-button calendar-nav" data-month-shift="-1" aria-label="Previous month">‹</button>
+      <div class="calendar-title">
+        <h3 class="subsection-title">${firstDay.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</h3>
+        <span class="calendar-summary">${loggedDays} of ${pastDays} day${pastDays !== 1 ? 's' : ''} logged</span>
+      </div>
+      <button class="secondary-button calendar-nav" data-month-shift="1" aria-label="Next month">›</button>
+    </div>
+    ${month !== today.slice(0, 7) ? '<button class="filter-chip calendar-today-btn">Back to this month</button>' : ''}
+    <div class="calendar-grid">${cells}</div>
+    <div class="calendar-day-detail"></div>
+  `;
+  
+  displayCalendarDay(container.querySelector('.calendar-day-detail'));
+}
+
+/**
+ * Everything logged on the selected day, with a way to add (another) check-in
+ */
+function displayCalendarDay(detail) {
+  if (!detail || !selectedCalendarDay) return;
+  
+  const date = selectedCalendarDay;
+  const entries = moodEntries.filter(e => getEntryDay(e) === date).sort(compareCheckIns);
+  const canLog = date <= getTodayDateString();
+  
+  detail.innerHTML = `
+    <h3 class="subsection-title">${formatDateTime(date)}</h3>
+    ${entries.length === 0 ? '<p class="calendar-no-entry">Nothing logged on this day.</p>' : ''}
+    <div class="history-timeline"></div>
+    ${canLog ? `<button class="primary-button calendar-log-btn" data-date="${date}">➕ ${entries.length > 0 ? 'Add a check-in' : 'Log this day'}</button>` : ''}
+  `;
+  
+  const timeline = detail.querySelector('.history-timeline');
+  const wellbeingComponents = getWellbeingComponents();
+  entries.forEach(entry => timeline.appendChild(createHistoryCard(entry, wellbeingComponents)));
+}
+
+/**
+ * Open the Track tab with the date picker set to the given day
+ */
+function logEntryForDay(date) {
+  if (editingEntryId) resetTrackingForm();
+  if (entryDateInput) entryDateInput.value = date;
+  if (entryTimeInput) entryTimeInput.value = '';
+  updateSubmitButtonLabel();
+  switchTab('track');
+}
+
+function setupCalendarListeners() {
+  const card = mountTab('calendar', '📅', 'Calendar');
+  const container = card && mountElement('#monthCalendar', '#calendar-tab .section-title', 'afterend', '<div id="monthCalendar"></div>');
+  if (!container) return;
+  
+  // The day view shows history cards, with the same edit/delete actions
+  container.addEventListener('click', handleHistoryCardClick);
+  container.addEventListener('click', (e) => {
+    const nav = e.target.closest('[data-month-shift]');
+    if (nav) {
+      shiftCalendarMonth(Number(nav.dataset.monthShift));
+      return;
+    }
+    
+    if (e.target.closest('.calendar-today-btn')) {
+      calendarMonth = null;
+      selectedCalendarDay = null;
+      displayCalendar();
+      return;
+    }
+    
+    const logBtn = e.target.closest('.calendar-log-btn');
+    if (logBtn) {
+      logEntryForDay(logBtn.dataset.date);
+      return;
+    }
+    
+    const day = e.target.closest('.calendar-day[data-date]');
+    if (day && !day.disabled) {
+      selectedCalendarDay = selectedCalendarDay === day.dataset.date ? null : day.dataset.date;
+      displayCalendar();
+    }
+  });
+}
+
+// ============================================
+// GRAPH OVERLAYS
+// ============================================
+// The five attributes can be drawn over the main graph line, each in its own color.
+// Toggles live in the legend (#graphLegend). Attributes use the 0-10 scale, so they
+// are only offered when the main metric does too (mood, wellbeing), not for trackers.
+const GRAPH_SERIES_COLORS = {
+  energy: '#F6AD55',
+  sleep: '#4299E1',
+  stress: '#E53E3E',
+  productivity: '#38A169',
+  social: '#D53F8C'
+};
+
+const graphOverlays = new Set(); // Attribute keys drawn on the graph
+
+function canOverlayAttributes(metric = getGraphMetric()) {
+  return metric.min === 0 && metric.max === 10;
+}
+
+function getGraphOverlays(metric) {
+  if (!canOverlayAttributes(metric)) return [];
+  return ATTRIBUTES
+    .filter(attr => graphOverlays.has(attr.key))
+    .map(attr => ({ key: attr.key, name: attr.name, color: GRAPH_SERIES_COLORS[attr.key] }));
+}
+
+function getGraphMetricLabel() {
+  if (currentGraphMetric === 'wellbeing') return '💚 Wellbeing';
+  const tracker = getCustomTrackers().find(t => t.id === currentGraphMetric);
+  return tracker ? `${tracker.icon} ${tracker.name}` : '😊 Mood';
+}
+
+function renderGraphLegend(data) {
+  const legend = document.getElementById('graphLegend');
+  if (!legend) return;
+  
+  const mainItem = `
+    <span class="graph-legend-item is-main">
+      <i class="graph-legend-swatch" style="background: #6C63FF"></i>${escapeHTML(getGraphMetricLabel())}
+    </span>
+  `;
+  
+  const overlayItems = !canOverlayAttributes() ? '' : ATTRIBUTES.map(attr => {
+    const active = graphOverlays.has(attr.key);
+    return `
+      <button class="graph-legend-item${active ? ' active' : ''}" data-series="${attr.key}" aria-pressed="${active}">
+        <i class="graph-legend-swatch" style="background: ${GRAPH_SERIES_COLORS[attr.key]}"></i>${attr.icon} ${attr.name}
+      </button>
+    `;
+  }).join('');
+  
+  // Moving averages and trend; the trend shows its slope while it's drawn
+  const trend = data && data.analyses.find(a => a.key === 'trend');
+  const analysisItems = (data ? getAvailableAnalyses(data.buckets) : GRAPH_ANALYSES).map(analysis => {
+    const active = graphAnalyses.has(analysis.key);
+    const slope = analysis.key === 'trend' && trend ? ` ${formatTrendSlope(trend.slopePerWeek)}` : '';
+    const title = analysis.days
+      ? `Average of the ${analysis.days} days up to the end of each point`
+      : 'Straight line fitted through the points shown';
+    return `
+      <button class="graph-legend-item${active ? ' active' : ''}" data-analysis="${analysis.key}" aria-pressed="${active}" title="${title}">
+        <i class="graph-legend-swatch" style="background: ${analysis.color}"></i>${analysis.name}${slope}
+      </button>
+    `;
+  }).join('');
+  
+  legend.innerHTML = mainItem + overlayItems + analysisItems;
+}
+
+function setupGraphLegendListeners() {
+  const legend = mountElement('#graphLegend', '.graph-container', 'afterend',
+    '<div id="graphLegend" class="graph-legend" aria-label="Graph lines"></div>');
+  if (!legend) return;
+  
+  legend.addEventListener('click', (e) => {
+    const item = e.target.closest('.graph-legend-item[data-series], .graph-legend-item[data-analysis]');
+    if (!item) return;
+    
+    const toggles = item.dataset.series ? graphOverlays : graphAnalyses;
+    const key = item.dataset.series || item.dataset.analysis;
+    if (toggles.has(key)) {
+      toggles.delete(key);
+    } else {
+      toggles.add(key);
+    }
+    drawGraph();
+  });
+}
+
+// ============================================
+// GRAPH GAPS
+// ============================================
+// Periods with no check-ins are null in prepareGraphData(), never a made-up value.
+// The profile picks how the line treats them (settings.graphGaps); whatever the mode,
+// a hollow marker on the x-axis flags each point without data.
+const GRAPH_GAP_MODES = {
+  break: 'Break the line',
+  interpolate: 'Dotted line across gaps',
+  carry: 'Carry last value forward'
+};
+const DEFAULT_GRAPH_GAP_MODE = 'break';
+
+function getGraphGapMode() {
+  const mode = currentUser && currentUser.settings && currentUser.settings.graphGaps;
+  return GRAPH_GAP_MODES[mode] ? mode : DEFAULT_GRAPH_GAP_MODE;
+}
+
+/**
+ * Split points ({ x, y, value }, value null = no data) into the runs to draw as solid lines,
+ * plus the dotted bridges between runs ("interpolate"). "carry" fills each gap with the
+ * last known value, flagged as carried so it gets no dot.
+ */
+function splitGraphSegments(points, gapMode) {
+  const segments = [];
+  const bridges = [];
+  let segment = [];
+  let last = null;
+  
+  points.forEach(point => {
+    if (point.value === null && gapMode === 'carry' && last) {
+      point = { ...point, y: last.y, value: last.value, carried: true };
+    }
+    
+    if (point.value === null) {
+      if (segment.length > 0) segments.push(segment);
+      segment = [];
+      return;
+    }
+    
+    if (segment.length === 0 && last && gapMode === 'interpolate') {
+      bridges.push([last, point]);
+    }
+    segment.push(point);
+    last = point;
+  });
+  if (segment.length > 0) segments.push(segment);
+  
+  return { segments, bridges };
+}
+
+/**
+ * Save the profile's gap mode and redraw the graph with it
+ */
+function setGraphGapMode(mode) {
+  if (!currentUser || !GRAPH_GAP_MODES[mode]) return;
+  
+  currentUser.settings = { ...currentUser.settings, graphGaps: mode };
+  persistUser(currentUser);
+  syncProfileSettingSelects();
+  console.log(`📉 Graph gaps for ${currentUser.name}: ${mode}`);
+  drawGraph();
+}
+
+function setupGraphGapListeners() {
+  mountElement('.graph-controls', '.period-selector', 'afterend', '<div class="graph-controls"></div>');
+  mountElement('.graph-gap-select', '.graph-controls', 'beforeend', `
+    <label class="graph-control">Gaps <select class="form-input graph-gap-select" aria-label="Days without a check-in"></select></label>
+  `);
+  
+  document.querySelectorAll('.graph-gap-select').forEach(select => {
+    select.innerHTML = Object.entries(GRAPH_GAP_MODES)
+      .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+      .join('');
+    select.addEventListener('change', () => setGraphGapMode(select.value));
+  });
+}
+
+// ============================================
+// GRAPH RANGES, ZOOM & PAN
+// ============================================
+// Besides the fixed windows, the graph can show the last year, all time or a from/to
+// range (#graphFrom/#graphTo, the last 30 days until one is picked). On the chart, dragging draws a brush that zooms into
+// the selection, Shift+drag pans the zoomed window, and a double-click resets it.
+// Any range is re-bucketed by length: days up to two months, then weeks, then months.
+const MAX_DAILY_BUCKET_DAYS = 62;
+const MAX_WEEKLY_BUCKET_DAYS = 366;
+const MIN_BRUSH_WIDTH = 6;
+const DEFAULT_CUSTOM_RANGE_DAYS = 30;
+
+let graphCustomRange = null; // { start, end } picked in the from/to inputs
+let graphZoom = null;        // { start, end } from the brush or panning; null = not zoomed
+let lastGraphBuckets = [];   // Buckets currently drawn, to map pointer positions to dates
+
+function daysBetween(start, end) {
+  return Math.round((new Date(end + 'T00:00:00') - new Date(start + 'T00:00:00')) / 86400000);
+}
+
+/**
+ * The date range for the graph, or null for the fixed daily/weekly/monthly windows
+ */
+function getGraphRange() {
+  if (graphZoom) return graphZoom;
+  
+  const today = getCurrentDay();
+  if (currentPeriod === 'year') {
+    return { start: shiftDateString(today, -364), end: today };
+  }
+  if (currentPeriod === 'all') {
+    const daily = getDailyEntries();
+    return { start: daily.length > 0 ? daily[daily.length - 1].date : today, end: today };
+  }
+  if (currentPeriod === 'custom') {
+    return graphCustomRange || { start: shiftDateString(today, 1 - DEFAULT_CUSTOM_RANGE_DAYS), end: today };
+  }
+  return null;
+}
+
+/**
+ * Buckets covering start..end, sized by the length of the range
+ */
+function getRangeBuckets(start, end) {
+  const days = daysBetween(start, end) + 1;
+  const dayLabel = dateStr => new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const buckets = [];
+  
+  if (days <= MAX_DAILY_BUCKET_DAYS) {
+    for (let date = start; date <= end; date = shiftDateString(date, 1)) {
+      buckets.push({ label: dayLabel(date), start: date, end: date });
+    }
+  } else if (days <= MAX_WEEKLY_BUCKET_DAYS) {
+    // Weeks counted back from the end, so the last point is always a full week
+    for (let weekEnd = end; weekEnd >= start; weekEnd = shiftDateString(weekEnd, -7)) {
+      const weekStart = shiftDateString(weekEnd, -6) < start ? start : shiftDateString(weekEnd, -6);
+      buckets.unshift({ label: dayLabel(weekStart), start: weekStart, end: weekEnd });
+    }
+  } else {
+    const [endYear, endMonth] = end.split('-').map(Number);
+    let month = new Date(Number(start.slice(0, 4)), Number(start.slice(5, 7)) - 1, 1);
+    
+    while (month <= new Date(endYear, endMonth - 1, 1)) {
+      const monthStart = toLocalDateString(month);
+      const monthEnd = toLocalDateString(new Date(month.getFullYear(), month.getMonth() + 1, 0));
+      buckets.push({
+        label: month.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+        start: monthStart < start ? start : monthStart,
+        end: monthEnd > end ? end : monthEnd
+      });
+      month = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    }
+  }
+  
+  return buckets;
+}
+
+function zoomGraphTo(start, end) {
+  if (start >= end) return;
+  graphZoom = { start, end };
+  drawGraph();
+}
+
+function resetGraphZoom() {
+  if (!graphZoom) return;
+  graphZoom = null;
+  drawGraph();
+}
+
+/**
+ * Forget the zoom and the custom range (another profile or metric); doesn't redraw
+ */
+function resetGraphRange() {
+  graphZoom = null;
+  graphCustomRange = null;
+  if (currentPeriod === 'custom') currentPeriod = 'daily';
+  
+  document.querySelectorAll('.period-button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.period === currentPeriod);
+  });
+}
+
+/**
+ * Keep the from/to inputs and the reset button in step with what the graph shows
+ */
+function updateGraphRangeControls() {
+  const fromInput = document.getElementById('graphFrom');
+  const toInput = document.getElementById('graphTo');
+  const today = getCurrentDay();
+  
+  if (fromInput && toInput && lastGraphBuckets.length > 0) {
+    fromInput.value = lastGraphBuckets[0].start;
+    toInput.value = lastGraphBuckets[lastGraphBuckets.length - 1].end;
+    fromInput.max = today;
+    toInput.max = today;
+  }
+  
+  document.querySelectorAll('.graph-reset-zoom-btn').forEach(btn => {
+    btn.classList.toggle('hide', !graphZoom);
+  });
+}
+
+/**
+ * Pointer position over the SVG in graph units (the viewBox is GRAPH_SIZE wide)
+ */
+function toGraphX(clientX) {
+  const rect = moodGraph.getBoundingClientRect();
+  return (clientX - rect.left) * GRAPH_SIZE.width / rect.width;
+}
+
+function graphXToBucketIndex(x) {
+  const graphWidth = GRAPH_SIZE.width - GRAPH_PADDING.left - GRAPH_PADDING.right;
+  const last = lastGraphBuckets.length - 1;
+  const index = Math.round((x - GRAPH_PADDING.left) / graphWidth * last);
+  return Math.min(Math.max(index, 0), last);
+}
+
+function setupGraphZoomListeners() {
+  mountElement('.period-button[data-period="year"]', '.period-selector', 'beforeend', `
+    <button class="period-button" data-period="year">Year</button>
+    <button class="period-button" data-period="all">All time</button>
+    <button class="period-button" data-period="custom">Custom</button>
+  `);
+  mountElement('.graph-controls', '.period-selector', 'afterend', '<div class="graph-controls"></div>');
+  mountElement('.graph-range', '.graph-controls', 'afterend', `
+    <div class="graph-range">
+      <label for="graphFrom">From</label>
+      <input type="date" id="graphFrom" class="form-input">
+      <label for="graphTo">to</label>
+      <input type="date" id="graphTo" class="form-input">
+      <button class="filter-chip graph-reset-zoom-btn hide">↺ Reset zoom</button>
+    </div>
+  `);
+  
+  document.querySelectorAll('.graph-reset-zoom-btn').forEach(btn => {
+    btn.addEventListener('click', resetGraphZoom);
+  });
+  
+  const fromInput = document.getElementById('graphFrom');
+  const toInput = document.getElementById('graphTo');
+  if (fromInput && toInput) {
+    const applyCustomRange = () => {
+      if (!DATE_PATTERN.test(fromInput.value) || !DATE_PATTERN.test(toInput.value)) return;
+      if (fromInput.value > toInput.value) {
+        alert('The start date must be on or before the end date');
+        updateGraphRangeControls();
+        return;
+      }
+      
+      graphCustomRange = { start: fromInput.value, end: toInput.value };
+      graphZoom = null;
+      currentPeriod = 'custom';
+      document.querySelectorAll('.period-button').forEach(b => {
+        b.classList.toggle('active', b.dataset.period === 'custom');
+      });
+      drawGraph();
+    };
+    fromInput.addEventListener('change', applyCustomRange);
+    toInput.addEventListener('change', applyCustomRange);
+  }
+  
+  if (!moodGraph) return;
+  
+  let drag = null;
+  
+  moodGraph.addEventListener('pointerdown', (e) => {
+    if (lastGraphBuckets.length < 2) return;
+    
+    const first = lastGraphBuckets[0];
+    const last = lastGraphBuckets[lastGraphBuckets.length - 1];
+    drag = { startX: toGraphX(e.clientX), pan: e.shiftKey, range: { start: first.start, end: last.end }, shift: 0 };
+    moodGraph.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+  
+  moodGraph.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const x = toGraphX(e.clientX);
+    
+    if (drag.pan) {
+      // Dragging right moves back in time; never past the current day
+      const graphWidth = GRAPH_SIZE.width - GRAPH_PADDING.left - GRAPH_PADDING.right;
+      const rangeDays = daysBetween(drag.range.start, drag.range.end) + 1;
+      const maxShift = daysBetween(drag.range.end, getCurrentDay());
+      const shift = Math.min(Math.round((drag.startX - x) / graphWidth * rangeDays), maxShift);
+      
+      if (shift !== drag.shift) {
+        drag.shift = shift;
+        zoomGraphTo(shiftDateString(drag.range.start, shift), shiftDateString(drag.range.end, shift));
+      }
+      return;
+    }
+    
+    // Brush: a translucent band over the selection
+    if (!drag.brush) {
+      drag.brush = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      drag.brush.setAttribute('y', GRAPH_PADDING.top);
+      drag.brush.setAttribute('height', GRAPH_SIZE.height - GRAPH_PADDING.top - GRAPH_PADDING.bottom);
+      drag.brush.setAttribute('fill', 'rgba(108, 99, 255, 0.15)');
+      drag.brush.setAttribute('class', 'graph-brush');
+      moodGraph.appendChild(drag.brush);
+    }
+    drag.brush.setAttribute('x', Math.min(drag.startX, x));
+    drag.brush.setAttribute('width', Math.abs(x - drag.startX));
+  });
+  
+  const endDrag = (e) => {
+    if (!drag) return;
+    const { startX, pan, brush } = drag;
+    drag = null;
+    if (brush) brush.remove();
+    if (pan || e.type === 'pointercancel') return;
+    
+    const x = toGraphX(e.clientX);
+    if (Math.abs(x - startX) < MIN_BRUSH_WIDTH) return;
+    
+    const from = lastGraphBuckets[graphXToBucketIndex(Math.min(startX, x))];
+    const to = lastGraphBuckets[graphXToBucketIndex(Math.max(startX, x))];
+    zoomGraphTo(from.start, to.end);
+  };
+  moodGraph.addEventListener('pointerup', endDrag);
+  moodGraph.addEventListener('pointercancel', endDrag);
+  moodGraph.addEventListener('dblclick', resetGraphZoom);
+}
+
+// ============================================
+// TRENDS & SEASONALITY
+// ============================================
+// Extra graph series built on prepareGraphData()'s buckets, toggled from the legend:
+// trailing 7/30-day moving averages (taken at the end of each bucket, so they are only
+// offered while a bucket is no longer than the window) and a least-squares trend line
+// through the plotted values. The Stats tab's #seasonality panel is built from the
+// month totals updateStatisticsInternal() collects.
+const GRAPH_ANALYSES = [
+  { key: 'ma7', name: '7-day average', color: '#9F7AEA', days: 7 },
+  { key: 'ma30', name: '30-day average', color: '#2C5282', days: 30 },
+  { key: 'trend', name: 'Trend', color: '#718096' }
+];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const graphAnalyses = new Set(); // Keys from GRAPH_ANALYSES drawn on the graph
+
+/**
+ * Mean of valueOf(day) over the `days` days ending at each bucket's end; null if none logged
+ */
+function getMovingAverage(buckets, dailyEntries, valueOf, days) {
+  return buckets.map(({ end }) => {
+    const since = shiftDateString(end, -(days - 1));
+    const values = dailyEntries
+      .filter(day => day.date >= since && day.date <= end)
+      .map(valueOf)
+      .filter(value => value !== undefined);
+    return values.length > 0 ? roundedAverage(values) : null;
+  });
+}
+
+/**
+ * Least-squares line through the bucket values, with x measured in days so the
+ * slope means the same at every period. Null with fewer than two values.
+ */
+function getTrendLine(buckets, values) {
+  const origin = buckets[0].start;
+  const xs = buckets.map(b => (daysBetween(origin, b.start) + daysBetween(origin, b.end)) / 2);
+  const known = xs.map((x, i) => ({ x, y: values[i] })).filter(p => p.y !== null);
+  if (known.length < 2) return null;
+  
+  const meanX = known.reduce((sum, p) => sum + p.x, 0) / known.length;
+  const meanY = known.reduce((sum, p) => sum + p.y, 0) / known.length;
+  const spread = known.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (spread === 0) return null;
+  
+  const slope = known.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / spread;
+  return {
+    values: xs.map(x => Math.round((meanY + slope * (x - meanX)) * 10) / 10),
+    slopePerWeek: slope * 7
+  };
+}
+
+// "+0.3", "−1.2" (one decimal, always signed)
+function formatSignedNumber(value) {
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded < 0 ? '−' : '+'}${Math.abs(rounded).toFixed(1)}`;
+}
+
+function formatTrendSlope(slopePerWeek) {
+  return `${formatSignedNumber(slopePerWeek)} per week`;
+}
+
+/**
+ * Analyses that make sense for these buckets. A moving average shorter than a bucket
+ * would only be sampled on each bucket's last day, so it is left out.
+ */
+function getAvailableAnalyses(buckets) {
+  const bucketDays = Math.max(...buckets.map(b => daysBetween(b.start, b.end) + 1));
+  return GRAPH_ANALYSES.filter(analysis => !analysis.days || analysis.days >= bucketDays);
+}
+
+/**
+ * The active analysis series for prepareGraphData()
+ */
+function getGraphAnalyses(buckets, dailyEntries, metric, values) {
+  return getAvailableAnalyses(buckets).filter(analysis => graphAnalyses.has(analysis.key)).map(analysis => {
+    if (analysis.key === 'trend') {
+      const trend = getTrendLine(buckets, values);
+      return trend && { ...analysis, values: trend.values, slopePerWeek: trend.slopePerWeek };
+    }
+    return { ...analysis, values: getMovingAverage(buckets, dailyEntries, metric.valueOf, analysis.days) };
+  }).filter(Boolean);
+}
+
+/**
+ * Sum and count of the daily mood values per 'YYYY-MM', in one pass over the days
+ */
+function getMonthTotals(dailyEntries) {
+  const totals = new Map();
+  dailyEntries.forEach(day => {
+    const month = day.date.slice(0, 7);
+    const total = totals.get(month) || { sum: 0, count: 0 };
+    total.sum += day.value;
+    total.count++;
+    totals.set(month, total);
+  });
+  return totals;
+}
+
+// Average (1 decimal) of a list of { sum, count } totals; null when they hold no days
+function averageOfTotals(totals) {
+  const sum = totals.reduce((acc, t) => acc + t.sum, 0);
+  const count = totals.reduce((acc, t) => acc + t.count, 0);
+  return count > 0 ? Math.round(sum / count * 10) / 10 : null;
+}
+
+function mountSeasonalityPanel() {
+  mountElement('#seasonality', '#stats-tab .content-card', 'beforeend', '<div id="seasonality"></div>');
+}
+
+/**
+ * Average mood by month of year, and each year's months side by side
+ */
+function displaySeasonality(monthTotals) {
+  const container = document.getElementById('seasonality');
+  if (!container) return;
+  
+  if (monthTotals.size === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const byMonth = MONTH_NAMES.map(() => []);
+  const byYear = new Map(); // year -> 12 lists of month totals
+  monthTotals.forEach((total, key) => {
+    const year = Number(key.slice(0, 4));
+    const month = Number(key.slice(5, 7)) - 1;
+    byMonth[month].push(total);
+    if (!byYear.has(year)) byYear.set(year, MONTH_NAMES.map(() => []));
+    byYear.get(year)[month].push(total);
+  });
+  
+  const monthAverages = byMonth.map(averageOfTotals);
+  const cell = (value, title) => value === null
+    ? `<span class="season-cell season-empty" title="${title}: no data">–</span>`
+    : `<span class="season-cell ${getMoodColorClass(value)}" title="${title}: ${value}/10">${value}</span>`;
+  
+  // Best and toughest month, once there's more than one month to compare
+  const ranked = monthAverages
+    .map((value, month) => ({ value, month }))
+    .filter(m => m.value !== null)
+    .sort((a, b) => b.value - a.value);
+  const summary = ranked.length > 1
+    ? `Usually your best month is ${MONTH_NAMES[ranked[0].month]} (${ranked[0].value}) and your toughest ${MONTH_NAMES[ranked[ranked.length - 1].month]} (${ranked[ranked.length - 1].value}).`
+    : 'Log across a few months to see seasonal patterns.';
+  
+  const years = [...byYear.keys()].sort((a, b) => b - a);
+  const yearAverages = new Map(years.map(year => [year, averageOfTotals(byYear.get(year).flat())]));
+  const yearRows = years.map(year => {
+    const average = yearAverages.get(year);
+    const previous = yearAverages.has(year - 1) ? yearAverages.get(year - 1) : null;
+    const change = previous === null ? '' : ` <span class="season-change">${formatSignedNumber(average - previous)}</span>`;
+    
+    return `
+      <div class="season-row">
+        <span class="season-label">${year}</span>
+        ${byYear.get(year).map((totals, month) => cell(averageOfTotals(totals), `${MONTH_NAMES[month]} ${year}`)).join('')}
+        <span class="season-total">${average}${change}</span>
+      </div>
+    `;
+  }).join('');
+  
+  container.innerHTML = `
+    <h3 class="subsection-title">🍂 Seasonality</h3>
+    <p class="season-summary">${summary}</p>
+    <div class="season-grid">
+      <div class="season-row season-head">
+        <span class="season-label"></span>
+        ${MONTH_NAMES.map(name => `<span class="season-cell">${name}</span>`).join('')}
+        <span class="season-total">Year</span>
+      </div>
+      <div class="season-row">
+        <span class="season-label">Avg</span>
+        ${monthAverages.map((value, month) => cell(value, `${MONTH_NAMES[month]}, all years`)).join('')}
+        <span class="season-total">${averageOfTotals([...monthTotals.values()])}</span>
+      </div>
+      ${years.length > 1 ? yearRows : ''}
+    </div>
+  `;
+}
+
+// ============================================
+// INSIGHTS (ATTRIBUTE ↔ MOOD CORRELATIONS)
+// ============================================
+// The Stats tab's #insights panel ranks how strongly each attribute moves with mood,
+// on the same day and on the next day (lag 1), using the profile's daily values.
+// Each finding gives Pearson's r, its sample size and a rough confidence from the
+// t statistic, plus a plain-language effect: mood on days the attribute was ≥7 vs the rest.
+const MIN_INSIGHT_DAYS = 14;
+const HIGH_ATTRIBUTE_VALUE = 7;
+const MIN_GROUP_DAYS = 3;
+const CONFIDENCE_LEVELS = [
+  { t: 2.6, label: 'high' },   // roughly p < 0.01
+  { t: 2.0, label: 'medium' }, // roughly p < 0.05
+  { t: 0, label: 'low' }
+];
+
+/**
+ * Pearson correlation of [x, y] pairs; null when either side doesn't vary
+ */
+function pearson(pairs) {
+  const n = pairs.length;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let covariance = 0, varianceX = 0, varianceY = 0;
+  
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function getConfidence(r, n) {
+  if (Math.abs(r) >= 1) return 'high';
+  const t = Math.abs(r) * Math.sqrt((n - 2) / (1 - r * r));
+  return CONFIDENCE_LEVELS.find(level => t >= level.t).label;
+}
+
+/**
+ * [attribute, mood] pairs: same day (lag 0) or the attribute against the next day's mood (lag 1)
+ */
+function getInsightPairs(dailyEntries, key, lag) {
+  const byDate = new Map(dailyEntries.map(day => [day.date, day]));
+  const pairs = [];
+  
+  dailyEntries.forEach(day => {
+    const moodDay = lag === 0 ? day : byDate.get(shiftDateString(day.date, lag));
+    if (moodDay) pairs.push([day.attributes[key], moodDay.value]);
+  });
+  return pairs;
+}
+
+/**
+ * Ranked findings: { attr, lag, r, n, confidence, effect, highDays } by |r|, strongest first
+ */
+function calculateInsights(dailyEntries) {
+  const findings = [];
+  
+  ATTRIBUTES.forEach(attr => {
+    [0, 1].forEach(lag => {
+      const pairs = getInsightPairs(dailyEntries, attr.key, lag);
+      if (pairs.length < MIN_INSIGHT_DAYS) return;
+      
+      const r = pearson(pairs);
+      if (r === null) return;
+      
+      // Mood on days with a high attribute vs all other days
+      const high = pairs.filter(([x]) => x >= HIGH_ATTRIBUTE_VALUE).map(([, y]) => y);
+      const rest = pairs.filter(([x]) => x < HIGH_ATTRIBUTE_VALUE).map(([, y]) => y);
+      const effect = high.length >= MIN_GROUP_DAYS && rest.length >= MIN_GROUP_DAYS
+        ? roundedAverage(high) - roundedAverage(rest)
+        : null;
+      
+      findings.push({ attr, lag, r, n: pairs.length, confidence: getConfidence(r, pairs.length), effect, highDays: high.length });
+    });
+  });
+  
+  return findings.sort((a, b) => Math.abs(b.r) - Math.abs(a.r));
+}
+
+function describeInsight({ attr, lag, r, effect, highDays }) {
+  const moodLabel = lag === 0 ? 'mood' : "next day's mood";
+  if (effect !== null) {
+    return `${attr.icon} ${attr.name} ≥${HIGH_ATTRIBUTE_VALUE} → ${moodLabel} ${formatSignedNumber(effect)} on average (n=${highDays})`;
+  }
+  return `${attr.icon} Higher ${attr.name.toLowerCase()} goes with ${r > 0 ? 'higher' : 'lower'} ${moodLabel}`;
+}
+
+function mountInsightsPanel() {
+  mountElement('#insights', '#stats-tab .content-card', 'beforeend', '<div id="insights"></div>');
+}
+
+function displayInsights(dailyEntries) {
+  const container = document.getElementById('insights');
+  if (!container) return;
+  
+  if (dailyEntries.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const title = '<h3 class="subsection-title">🔍 Insights</h3>';
+  if (dailyEntries.length < MIN_INSIGHT_DAYS) {
+    container.innerHTML = `
+      ${title}
+      <p class="insight-warning">⚠️ Not enough data yet: insights need at least ${MIN_INSIGHT_DAYS} logged days (you have ${dailyEntries.length}).</p>
+    `;
+    return;
+  }
+  
+  const findings = calculateInsights(dailyEntries);
+  if (findings.length === 0) {
+    container.innerHTML = `
+      ${title}
+      <p class="insight-warning">⚠️ Your attributes or mood barely vary, so there's nothing to compare yet.</p>
+    `;
+    return;
+  }
+  
+  const lowConfidence = findings.every(f => f.confidence === 'low');
+  container.innerHTML = `
+    ${title}
+    ${lowConfidence ? '<p class="insight-warning">⚠️ None of these links are clear yet. Keep logging and they will firm up (or fade).</p>' : ''}
+    <ol class="insight-list">
+      ${findings.map(finding => `
+        <li class="insight-item confidence-${finding.confidence}">
+          <div class="insight-text">${escapeHTML(describeInsight(finding))}</div>
+          <div class="insight-meta">
+            ${finding.lag === 0 ? 'Same day' : 'Next day'} · r = ${finding.r.toFixed(2)} · n = ${finding.n} · ${finding.confidence} confidence
+          </div>
+        </li>
+      `).join('')}
+    </ol>
+    <p class="insight-note">Correlation, not causation: these show what tends to go together in your own data.</p>
+  `;
+}
+
+// ============================================
+// MOOD PATTERNS (WEEKDAY × TIME OF DAY)
+// ============================================
+// The Stats tab's #moodPatterns panel averages check-ins (not daily aggregates, since
+// the time of day matters) by weekday and time slot, for the mood or one attribute.
+// Weekdays follow getEntryDay(), so a 1 a.m. check-in can still belong to Friday night.
+// Cells are colored like the year heatmap: attributes where lower is better are flipped.
+const PATTERN_WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MIN_PATTERN_CHECKINS = 3; // A cell needs this many check-ins to be called out
+
+let patternMetric = 'mood';
+
+function getPatternValue(entry) {
+  return patternMetric === 'mood' ? entry.value : entry.attributes[patternMetric];
+}
+
+/**
+ * Average of the chosen metric per weekday (Monday first) and time slot:
+ * { cells: [weekday][slot] → { average, count }, byWeekday, bySlot }
+ */
+function calculateMoodPatterns(entries) {
+  const emptyCell = () => ({ values: [] });
+  const cells = PATTERN_WEEKDAYS.map(() => TIME_SLOTS.map(emptyCell));
+  const byWeekday = PATTERN_WEEKDAYS.map(emptyCell);
+  const bySlot = TIME_SLOTS.map(emptyCell);
+  
+  entries.forEach(entry => {
+    const slot = TIME_SLOTS.findIndex(s => s.key === getTimeSlot(entry.time));
+    if (slot === -1) return;
+    
+    // getDay() counts from Sunday
+    const weekday = (new Date(getEntryDay(entry) + 'T00:00:00').getDay() + 6) % 7;
+    const value = getPatternValue(entry);
+    cells[weekday][slot].values.push(value);
+    byWeekday[weekday].values.push(value);
+    bySlot[slot].values.push(value);
+  });
+  
+  const summarize = ({ values }) => ({
+    average: values.length > 0 ? roundedAverage(values) : null,
+    count: values.length
+  });
+  
+  return {
+    cells: cells.map(row => row.map(summarize)),
+    byWeekday: byWeekday.map(summarize),
+    bySlot: bySlot.map(summarize)
+  };
+}
+
+function getPatternColorClass(average) {
+  const attr = ATTRIBUTES.find(a => a.key === patternMetric);
+  return getMoodColorClass(attr && getAttributePolarity(attr) === 'lower' ? 11 - average : average);
+}
+
+/**
+ * "Monday mornings are consistently your lowest…" for the extreme cells with enough check-ins
+ */
+function describeMoodPatterns(cells) {
+  const candidates = [];
+  cells.forEach((row, weekday) => row.forEach((cell, slot) => {
+    if (cell.count >= MIN_PATTERN_CHECKINS) candidates.push({ ...cell, weekday, slot });
+  }));
+  if (candidates.length < 2) return null;
+  
+  candidates.sort((a, b) => a.average - b.average);
+  const lowest = candidates[0];
+  const highest = candidates[candidates.length - 1];
+  if (lowest.average === highest.average) return null;
+  
+  const when = ({ weekday, slot }) => `${PATTERN_WEEKDAYS[weekday]} ${TIME_SLOTS[slot].key}s`;
+  const detail = ({ average, count }) => `avg ${average} over ${count} check-ins`;
+  const attr = ATTRIBUTES.find(a => a.key === patternMetric);
+  const subject = attr ? `${attr.name.toLowerCase()} is` : 'mood is';
+  
+  return `${when(lowest)} are consistently where your ${subject} lowest (${detail(lowest)}), ` +
+    `and ${when(highest)} where it's highest (${detail(highest)}).`;
+}
+
+function displayMoodPatterns(entries) {
+  const container = document.getElementById('moodPatterns');
+  if (!container) return;
+  
+  const timedEntries = entries.filter(entry => entry.time);
+  if (timedEntries.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const { cells, byWeekday, bySlot } = calculateMoodPatterns(timedEntries);
+  const cell = ({ average, count }, title) => average === null
+    ? `<span class="pattern-cell pattern-empty" title="${title}: no check-ins">–</span>`
+    : `<span class="pattern-cell ${getPatternColorClass(average)}" title="${title}: avg ${average} (${count} check-in${count !== 1 ? 's' : ''})">${average}</span>`;
+  
+  const metricOptions = [{ key: 'mood', icon: '😊', name: 'Mood' }, ...ATTRIBUTES]
+    .map(m => `<option value="${m.key}" ${m.key === patternMetric ? 'selected' : ''}>${m.icon} ${m.name}</option>`)
+    .join('');
+  const summary = describeMoodPatterns(cells);
+  
+  container.innerHTML = `
+    <div class="heatmap-header">
+      <h3 class="subsection-title">🗓️ Weekly rhythm</h3>
+      <select class="form-input pattern-metric-select" aria-label="Show">${metricOptions}</select>
+    </div>
+    <p class="season-summary">${summary || `Patterns show up once a weekday and time of day have ${MIN_PATTERN_CHECKINS}+ check-ins.`}</p>
+    <div class="pattern-grid">
+      <span></span>
+      ${TIME_SLOTS.map(slot => `<span class="pattern-label">${slot.label}</span>`).join('')}
+      <span class="pattern-label">All day</span>
+      ${PATTERN_WEEKDAYS.map((weekday, i) => `
+        <span class="pattern-label">${weekday.slice(0, 3)}</span>
+        ${cells[i].map((c, slot) => cell(c, `${weekday} ${TIME_SLOTS[slot].key}`)).join('')}
+        ${cell(byWeekday[i], `${weekday}, all day`)}
+      `).join('')}
+      <span class="pattern-label">All week</span>
+      ${bySlot.map((c, slot) => cell(c, `${TIME_SLOTS[slot].label}, all week`)).join('')}
+      <span></span>
+    </div>
+  `;
+}
+
+function setupMoodPatternListeners() {
+  const container = mountElement('#moodPatterns', '#stats-tab .content-card', 'beforeend', '<div id="moodPatterns"></div>');
+  if (!container) return;
+  
+  container.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('pattern-metric-select')) return;
+    patternMetric = e.target.value;
+    displayMoodPatterns(moodEntries);
+  });
+}
+
+// ============================================
+// USER MANAGEMENT FUNCTIONS
+// ============================================
+
+function initApp() {
+  // Priority 1: Initialize theme FIRST (critical - no flash)
+  initTheme();
+  
+  // Priority 2: Cache DOM elements
+  initDOMCache();
+  
+  // Priority 3: Setup theme listeners
+  setupThemeListeners();
+  
+  setupUserEventListeners();
+  setupBackupListeners();
+  setupCsvListeners();
+  setupAutoLockListeners();
+  setupHistoryActions();
+  setupBackfillListeners();
+  setupDailyAggregateListeners();
+  setupDayRolloverListeners();
+  setupTrackerListeners();
+  setupWellbeingListeners();
+  setupTagListeners();
+  setupJournalListeners();
+  setupSearchListeners();
+  setupHeatmapListeners();
+  mountSeasonalityPanel();
+  mountInsightsPanel();
+  setupCalendarListeners();
+  setupGraphLegendListeners();
+  setupGraphGapListeners();
+  setupGraphZoomListeners();
+  setupMoodPatternListeners();
+  
+  // Priority 4: Load saved profiles and entries before showing the login screen
+  loadPersistedData().then(() => {
+    if (users.length === 0) {
+      showLoginScreen(true); // Show "Create Profile" mode
+    } else {
+      showLoginScreen(false); // Show "Select Profile" mode
+    }
+    
+    // Priority 5: Remove loading indicator
+    removeLoadingIndicator();
+    
+    // Priority 6: Setup non-critical features with requestIdleCallback
+    scheduleNonCriticalInit();
+  });
+}
+
+function removeLoadingIndicator() {
+    const loader = document.getElementById('appLoading');
+    if (loader) {
+        loader.style.opacity = '0';
+        loader.style.transition = 'opacity 0.3s ease';
+        setTimeout(() => {
+            loader.remove();
             document.body.classList.add('loaded');
             console.log('✨ App loaded and ready!');
         }, 300);
@@ -1203,19 +6555,22 @@ function renderUserCards() {
     const card = document.createElement('div');
     card.className = 'user-card';
     
-    // Get entry count for THIS USER ONLY
+    // Get entry count for THIS USER ONLY (unknown while an encrypted profile is locked)
     const userEntries = allUserData[user.id] || [];
     const entryCount = userEntries.length;
+    const statsText = isProfileLocked(user)
+      ? '🔒 Encrypted'
+      : `${entryCount} ${entryCount === 1 ? 'entry' : 'entries'}`;
     
     card.innerHTML = `
       <div class="user-info">
-        <div class="user-card-avatar">${user.avatar}</div>
+        <div class="user-card-avatar">${escapeHTML(user.avatar)}</div>
         <div class="user-card-details">
-          <div class="user-card-name">${user.name}</div>
-          <div class="user-card-stats">${entryCount} ${entryCount === 1 ? 'entry' : 'entries'}</div>
+          <div class="user-card-name">${escapeHTML(user.name)}</div>
+          <div class="user-card-stats">${statsText}</div>
         </div>
       </div>
-      <button class="delete-user-btn" data-user-id="${user.id}">Delete</button>
+      <button class="delete-user-btn" data-user-id="${escapeHTML(user.id)}">Delete</button>
     `;
     
     // Click card to select user
@@ -1239,9 +6594,14 @@ function renderUserCards() {
   });
 }
 
-function createUser() {
+async function createUser() {
   const nameInput = document.getElementById('usernameInput');
+  const passphraseInput = document.getElementById('passphraseInput');
+  const passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+  const pinInput = document.getElementById('pinInput');
   const name = nameInput.value.trim();
+  const passphrase = passphraseInput ? passphraseInput.value : '';
+  const pin = pinInput ? pinInput.value.trim() : '';
   
   if (!name) {
     alert('Please enter your name');
@@ -1253,6 +6613,24 @@ function createUser() {
     return;
   }
   
+  // Optional passphrase - encrypts this profile's entries at rest
+  if (passphrase) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      alert(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (passphraseConfirmInput && passphraseConfirmInput.value !== passphrase) {
+      alert('Passphrases do not match');
+      return;
+    }
+  }
+  
+  // Optional PIN - required to open or delete this profile
+  if (pin && !PIN_PATTERN.test(pin)) {
+    alert('PIN must be 4-6 digits');
+    return;
+  }
+  
   const newUser = {
     id: Date.now().toString(),
     name: name,
@@ -1260,10 +6638,32 @@ function createUser() {
     createdAt: new Date().toISOString()
   };
   
+  if (pin) {
+    newUser.pin = await createPinRecord(pin);
+    pinVerifiedUserId = newUser.id;
+  }
+  
+  if (passphrase) {
+    newUser.encryption = createEncryptionParams();
+    try {
+      profileKeys[newUser.id] = await deriveProfileKey(passphrase, newUser.encryption);
+      newUser.encryption.verifier = await createKeyVerifier(profileKeys[newUser.id], newUser.id);
+    } catch (error) {
+      console.error('❌ Could not set up encryption:', error);
+      alert('Encryption is not available in this browser. Create the profile without a passphrase.');
+      return;
+    }
+  }
+  
   users.push(newUser);
   allUserData[newUser.id] = []; // Initialize empty mood entries for this user
+  persistUser(newUser);
+  persistEntries(newUser.id);
   selectUser(newUser.id);
   nameInput.value = '';
+  if (passphraseInput) passphraseInput.value = '';
+  if (passphraseConfirmInput) passphraseConfirmInput.value = '';
+  if (pinInput) pinInput.value = '';
 }
 
 function selectUser(userId) {
@@ -1273,10 +6673,26 @@ function selectUser(userId) {
     return;
   }
   
+  // PIN-protected profiles ask for the PIN first (success re-enters selectUser)
+  if (user.pin && pinVerifiedUserId !== user.id) {
+    requirePin(user, `Open ${user.name}`, () => {
+      pinVerifiedUserId = user.id;
+      selectUser(user.id);
+    });
+    return;
+  }
+  
+  // Encrypted profiles need their passphrase first (unlock re-enters selectUser)
+  if (isProfileLocked(user)) {
+    showUnlockPrompt(user);
+    return;
+  }
+  
   // CRITICAL: Save previous user's data before switching
   if (currentUser && currentUser.id !== userId) {
     console.log(`💾 Saving data for previous user: ${currentUser.name}`);
     allUserData[currentUser.id] = moodEntries;
+    lockProfile(currentUser.id);
   }
   
   // Set new current user
@@ -1312,12 +6728,23 @@ function selectUser(userId) {
   
   // Update theme buttons after user selection
   updateThemeButtons();
+  
+  // Start the idle countdown for this session
+  resetAutoLockTimer();
+  
+  reportQuarantinedEntries(user);
 }
 
-function deleteUser(userId) {
+function deleteUser(userId, pinChecked = false) {
   const user = users.find(u => u.id === userId);
   if (!user) return;
   
+  // Only someone who knows the PIN may delete a protected profile
+  if (user.pin && !pinChecked) {
+    requirePin(user, `Delete ${user.name}`, () => deleteUser(userId, true));
+    return;
+  }
+  
   if (!confirm(`Are you sure you want to delete ${user.name}'s profile? All mood data will be permanently lost.`)) {
     return;
   }
@@ -1330,6 +6757,10 @@ function deleteUser(userId) {
   // CRITICAL: Delete user's isolated data storage
   const entryCount = allUserData[userId] ? allUserData[userId].length : 0;
   delete allUserData[userId];
+  delete quarantinedEntries[userId];
+  delete encryptedBlobs[userId];
+  delete profileKeys[userId];
+  removePersistedUser(userId);
   console.log(`✅ Deleted ${entryCount} entries for ${user.name}`);
   
   // If current user was deleted, clear and logout
@@ -1355,12 +6786,17 @@ function switchUser() {
   if (currentUser) {
     console.log(`💾 Saving ${moodEntries.length} entries for ${currentUser.name}`);
     allUserData[currentUser.id] = moodEntries;
+    lockProfile(currentUser.id);
   }
   
   // CLEAR current user data from memory - complete isolation
   currentUser = null;
+  pinVerifiedUserId = null;
+  resetAutoLockTimer();
   moodEntries = []; // Clear all entries from memory
   selectedMood = null;
+  editingEntryId = null;
+  syncCancelEditButtons();
   
   // Reset form
   emojiButtons.forEach(btn => btn.classList.remove('selected'));
@@ -1375,19 +6811,31 @@ function switchUser() {
   updateSliderValue(productivitySlider, productivityValue);
   updateSliderValue(socialSlider, socialValue);
   notesInput.value = '';
-  charCount.textContent = '0/200';
+  setJournalMode(false, { persist: false });
+  
+  // History filters, the calendar month and the graph range belong to the profile that set them
+  clearHistorySearch();
+  resetHistoryView();
+  activeTagFilters.clear();
+  calendarMonth = null;
+  selectedCalendarDay = null;
+  resetGraphRange();
   
   console.log('✅ User data cleared from memory - ready for new user');
   
   showLoginScreen(false);
 }
 
+const AVATARS = ['😊', '🙂', '😎', '🤗', '😌', '🥳', '😇', '🤓', '😋', '🥰'];
+
 function getRandomAvatar() {
-  const avatars = ['😊', '🙂', '😎', '🤗', '😌', '🥳', '😇', '🤓', '😋', '🥰'];
-  return avatars[Math.floor(Math.random() * avatars.length)];
+  return AVATARS[Math.floor(Math.random() * AVATARS.length)];
 }
 
 function setupUserEventListeners() {
+  mountPassphraseInputs();
+  mountPinInput();
+  
   // Create user button
   document.getElementById('createUserBtn').addEventListener('click', createUser);
   
@@ -1451,30 +6899,44 @@ function updateCurrentDateTime() {
 // ============================================
 // INITIALIZATION
 // ============================================
+// init() runs on every profile switch, but listeners and the clock must only start once
+// (a second submit listener would save every check-in twice)
+let appListenersReady = false;
+
 function init() {
   // Critical: Update current date/time
   updateCurrentDateTime();
   
-  // Update time every second (throttled)
-  setInterval(updateCurrentDateTime, 1000);
+  if (!appListenersReady) {
+    appListenersReady = true;
+    
+    // Update time every second (throttled)
+    setInterval(updateCurrentDateTime, 1000);
+    
+    // Setup event listeners
+    setupTabListeners();
+    setupEmojiListeners();
+    setupPeriodListeners();
+    setupFilterListeners();
+    setupSubmitButton();
+    setupNotesCounter();
+  }
+  
+  // Show this profile's daily aggregate and day rollover choices
+  syncProfileSettingSelects();
   
-  // Setup event listeners
-  setupTabListeners();
-  setupEmojiListeners();
-  setupPeriodListeners();
-  setupFilterListeners();
-  setupSubmitButton();
-  setupNotesCounter();
+  // Build this profile's custom tracker inputs, tag chips and graph options
+  renderTrackerInputs();
+  renderGraphMetricOptions();
+  activeTagFilters.clear();
+  setSelectedTags([]);
+  setJournalMode(Boolean(currentUser && currentUser.settings && currentUser.settings.journalMode), { persist: false });
   
-  // Schedule non-critical initialization
+  // Schedule non-critical initialization. New profiles start empty: with entries
+  // saved for good, made-up sample check-ins would end up in stats and backups.
   const scheduleInit = () => {
-    // Add sample data for current user if they don't have any
-    if (moodEntries.length === 0) {
-      addSampleData();
-    }
-    
-    // Load today's entry if exists
-    loadTodayEntry();
+    // Offer another check-in if today already has one
+    updateSubmitButtonLabel();
   };
   
   if ('requestIdleCallback' in window) {
@@ -1484,89 +6946,42 @@ function init() {
   }
 }
 
-function loadTodayEntry() {
-  const todayDate = getTodayDateString();
-  const todayEntry = moodEntries.find(e => e.date === todayDate);
-  
-  if (todayEntry) {
-    const moodButton = document.querySelector(`[data-mood="${todayEntry.mood}"]`);
-    if (moodButton) {
-      moodButton.classList.add('selected');
-      selectedMood = {
-        mood: todayEntry.mood,
-        value: todayEntry.value
-      };
-    }
-    
-    energySlider.value = todayEntry.attributes.energy;
-    sleepSlider.value = todayEntry.attributes.sleep;
-    stressSlider.value = todayEntry.attributes.stress;
-    productivitySlider.value = todayEntry.attributes.productivity;
-    socialSlider.value = todayEntry.attributes.social;
-    
-    updateSliderValue(energySlider, energyValue);
-    updateSliderValue(sleepSlider, sleepValue);
-    updateSliderValue(stressSlider, stressValue);
-    updateSliderValue(productivitySlider, productivityValue);
-    updateSliderValue(socialSlider, socialValue);
-    
-    notesInput.value = todayEntry.notes || '';
-    charCount.textContent = `${(todayEntry.notes || '').length}/200`;
-    
-    // Update submit button text if entry exists
-    submitButton.textContent = 'Update Today\'s Entry';
-  } else {
-    submitButton.textContent = 'Submit Mood';
+/**
+ * Populate the Track form (emoji, sliders, notes) from an entry
+ */
+function fillTrackingForm(entry) {
+  emojiButtons.forEach(btn => btn.classList.remove('selected'));
+  const moodButton = document.querySelector(`[data-mood="${entry.mood}"]`);
+  if (moodButton) {
+    moodButton.classList.add('selected');
   }
-}
-
-function addSampleData() {
-  // Only add sample data if no entries exist for this user
-  if (!currentUser || moodEntries.length > 0) return;
-  
-  const today = new Date();
+  selectedMood = {
+    mood: entry.mood,
+    value: entry.value
+  };
   
-  const sampleEntries = [
-    { daysAgo: 1, mood: 'happy', value: 8, energy: 7, sleep: 8, stress: 3, productivity: 9, social: 7, notes: 'Great day at work!', hour: 14, minute: 30 },
-    { daysAgo: 2, mood: 'neutral', value: 6, energy: 5, sleep: 6, stress: 6, productivity: 7, social: 5, notes: 'Okay day overall.', hour: 18, minute: 15 },
-    { daysAgo: 3, mood: 'excited', value: 9, energy: 9, sleep: 9, stress: 2, productivity: 8, social: 9, notes: 'Amazing weekend!', hour: 10, minute: 45 },
-    { daysAgo: 4, mood: 'anxious', value: 4, energy: 4, sleep: 5, stress: 8, productivity: 5, social: 4, notes: 'Stressful day.', hour: 20, minute: 0 },
-    { daysAgo: 5, mood: 'happy', value: 7, energy: 6, sleep: 7, stress: 4, productivity: 7, social: 6, notes: 'Good balance today.', hour: 8, minute: 20 }
-  ];
+  energySlider.value = entry.attributes.energy;
+  sleepSlider.value = entry.attributes.sleep;
+  stressSlider.value = entry.attributes.stress;
+  productivitySlider.value = entry.attributes.productivity;
+  socialSlider.value = entry.attributes.social;
   
-  sampleEntries.forEach(sample => {
-    const entryDate = new Date(today);
-    entryDate.setDate(entryDate.getDate() - sample.daysAgo);
-    entryDate.setHours(sample.hour, sample.minute, Math.floor(Math.random() * 60));
-    const dateString = entryDate.toISOString().split('T')[0];
-    const timeString = entryDate.toTimeString().split(' ')[0];
-    
-    moodEntries.push({
-      id: `${currentUser.id}_sample_${sample.daysAgo}`,
-      userId: currentUser.id,
-      userName: currentUser.name,
-      date: dateString,
-      time: timeString,
-      timestamp: entryDate.toISOString(),
-      mood: sample.mood,
-      value: sample.value,
-      attributes: {
-        energy: sample.energy,
-        sleep: sample.sleep,
-        stress: sample.stress,
-        productivity: sample.productivity,
-        social: sample.social
-      },
-      notes: sample.notes
-    });
-  });
+  updateSliderValue(energySlider, energyValue);
+  updateSliderValue(sleepSlider, sleepValue);
+  updateSliderValue(stressSlider, stressValue);
+  updateSliderValue(productivitySlider, productivityValue);
+  updateSliderValue(socialSlider, socialValue);
   
-  moodEntries.sort((a, b) => new Date(b.date) - new Date(a.date));
+  fillTrackerInputs(entry.trackers);
+  setSelectedTags(entry.tags);
   
-  // Save sample data to user's storage
-  if (currentUser) {
-    allUserData[currentUser.id] = moodEntries;
+  // Journal notes reopen in journal mode (without changing the profile's default)
+  if (entry.notesFormat === 'markdown' && !journalMode) {
+    setJournalMode(true, { persist: false });
   }
+  notesInput.value = entry.notes || '';
+  updateCharCount();
+  updateNotesPreview();
 }
 
 // Start the app with optimized initialization